@@ -1,3 +1,29 @@
+import { completeBalance, reserveMax, shiftBalance, thresholdCrossings, thresholdLevels } from './contracto-rules.js';
+import { ContratoRoll } from './contracto-roll.js';
+import { rollAttack } from './contracto-combat.js';
+import { usePower } from './contracto-powers.js';
+import { equipmentModifier } from './contracto-inventory.js';
+import { recordFeeding, scheduleHunt } from './contracto-hunt.js';
+import { frenzyCheck, mustUseUmbral } from './contracto-beast.js';
+import { CharacterCreationApp } from './contracto-creation.js';
+import { appendHistory } from './contracto-history.js';
+import { promptNpcRoll } from './contracto-npc.js';
+
+/**
+ * Resultado estruturado de uma rolagem de perícia, devolvido por
+ * `ContractoActor#rollSkill` e `game.contrato.rollSkill`.
+ *
+ * @typedef {object} SkillRollResult
+ * @property {string} skill Chave da perícia rolada
+ * @property {number} total Total final da rolagem
+ * @property {boolean} umbral Se o dado gasto foi Umbral
+ * @property {number} natural Resultado natural do d12
+ * @property {number|null} difficulty Dificuldade alvo, se houver
+ * @property {string|null} outcome 'criticalFailure', 'failure', 'success' ou 'criticalSuccess'
+ * @property {number|null} margin Diferença entre o total e a dificuldade
+ * @property {ContratoRoll} roll A rolagem avaliada
+ */
+
 /**
  * Classe Actor para o sistema Contrato de Sangue. Estende as funcionalidades
  * básicas de Actor da Foundry VTT para suportar atributos específicos, cálculo
@@ -9,252 +35,650 @@
  */
 export class ContractoActor extends Actor {
   /**
-   * Prepara dados derivados. Este método é chamado automaticamente pelo
-   * mecanismo de Foundry sempre que o ator ou seus itens são atualizados. É
-   * usado para calcular a reserva de dados, as penalidades de mortalidade e
-   * garantir que Humanidade + Bestialidade permaneçam somando 12.
+   * Normaliza as alterações antes de gravar. Quando apenas um entre
+   * Humanidade e Bestialidade muda (por exemplo, ao editar um campo na folha),
+   * o outro é ajustado para manter a soma 12; se ambos mudarem de forma
+   * inconsistente, a Humanidade prevalece. A saúde atual (também a de NPCs) é
+   * limitada à máxima, assim como a reserva opcional dos NPCs.
+   * Depois da criação, jogadores só alteram perícias, Humanidade e
+   * Bestialidade pelas regras do sistema (veja `#editsLockedFields`).
+   * Valores fora dos limites continuam sendo rejeitados pelo modelo de dados.
+   * Os atributos e limiares atuais são guardados nas opções para que
+   * `_onUpdate` registre as mudanças e detecte cruzamentos.
    */
-  prepareDerivedData() {
-    super.prepareDerivedData();
-
-    const data = this.system;
-    data.attributes = data.attributes || {};
-    data.skills = data.skills || {};
-
-    // Inicializa atributos se ainda não existirem (permite criação rápida via CLI)
-    data.attributes.humanidade = Number(data.attributes.humanidade ?? 6);
-    data.attributes.bestialidade = Number(data.attributes.bestialidade ?? 6);
-    data.attributes.mortalidade = Number(data.attributes.mortalidade ?? 0);
-
-    // Enforce that Humanidade + Bestialidade = 12
-    const total = data.attributes.humanidade + data.attributes.bestialidade;
-    if (total !== 12) {
-      // Ajusta Bestialidade para manter a soma, sem permitir números negativos
-      data.attributes.bestialidade = Math.max(0, 12 - data.attributes.humanidade);
+  async _preUpdate(changed, options, user) {
+    if ((await super._preUpdate(changed, options, user)) === false) return false;
+    this.#clampHealth(changed);
+    if (this.type === 'npc') this.#clampNpcReserve(changed);
+    if (this.type !== 'character') return;
+    if (this.#editsLockedFields(changed, options, user)) {
+      ui.notifications.warn(game.i18n.localize('CONTRATO.CREATION.LOCKED'));
+      return false;
     }
+    this.#completeBalance(changed, options);
+    options.contratoAttributes = { ...this.system.attributes };
+    options.contratoThresholds = this.#thresholdLevels();
+  }
 
-    // Calcula a reserva de dados: Bestialidade + 1 (máximo 13, pois Bestialidade vai de 1 a 11)
-    data.reservaDados = data.reservaDados || {};
-    data.reservaDados.max = data.attributes.bestialidade + 1;
-    // Assegura que a reserva atual nunca excede o máximo
-    if (typeof data.reservaDados.current !== 'number' || data.reservaDados.current > data.reservaDados.max) {
-      data.reservaDados.current = data.reservaDados.max;
-    }
+  /**
+   * Abre o assistente de criação para quem criou um personagem novo. Cópias
+   * de personagens já criados trazem a flag `created` e não o abrem.
+   *
+   * @override
+   */
+  _onCreate(data, options, userId) {
+    super._onCreate(data, options, userId);
+    if (userId !== game.user.id || this.type !== 'character' || this.getFlag('contrato-de-sangue', 'created')) return;
+    new CharacterCreationApp(this).render(true);
+  }
 
-    // Determina penalidade de mortalidade e frequência de caça
-    data.mortalidade = data.mortalidade || {};
-    let penalty = 0;
-    let huntFrequency = 'none';
-    const mort = data.attributes.mortalidade;
-    if (mort >= 3 && mort <= 5) {
-      penalty = 1;
-      huntFrequency = 'weekly';
-    } else if (mort >= 6 && mort <= 8) {
-      penalty = 2;
-      huntFrequency = 'twice-weekly';
-    } else if (mort >= 9 && mort <= 11) {
-      penalty = 3;
-      huntFrequency = 'daily';
-    } else if (mort >= 12) {
-      penalty = 4;
-      huntFrequency = 'constant';
+  /**
+   * Registra as mudanças de atributos e detecta os limiares cruzados pela
+   * atualização. Apenas o cliente que fez a alteração (o dono do ator ou o
+   * Mestre) reage, de modo que cada evento é registrado uma única vez: o
+   * histórico recebe uma entrada por atributo alterado, pelo corte da reserva
+   * e por cruzamento, a
+   * caça é reagendada quando a faixa de Mortalidade muda e o evento
+   * `contrato.thresholdCrossed` é emitido para módulos e macros. As reações
+   * não são aguardadas e tratam as próprias falhas.
+   *
+   * @override
+   */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+    // Gravações do histórico não redesenham a folha (veja `contracto-history.js`)
+    if (options.contratoHistory) this.sheet?.refreshHistory?.();
+    if (userId !== game.user.id || !options.contratoThresholds) return;
+    if (options.contratoReserve) {
+      const { from } = options.contratoReserve;
+      this.recordHistory({ type: 'reserve', reason: 'limit', from, to: this.system.reservaDados.current });
+    }
+    // A Humanidade é o complemento da Bestialidade e não precisa de entrada própria
+    for (const attribute of ['bestialidade', 'mortalidade']) {
+      const from = options.contratoAttributes[attribute];
+      const to = this.system.attributes[attribute];
+      if (from !== to) this.recordHistory({ type: 'attribute', event: 'shift', attribute, from, to });
     }
-    data.mortalidade.penalty = penalty;
-    data.mortalidade.hunt = huntFrequency;
-
-    // Agendamento de caça via Simple Calendar quando cruzar um novo limiar
-    // Para evitar duplicidade, guardamos o último nível verificado
-    const flags = this.flags['contrato-de-sangue'] ?? {};
-    if (flags.lastMortalityLevel !== huntFrequency) {
-      this.setFlag('contrato-de-sangue', 'lastMortalityLevel', huntFrequency);
-      if (huntFrequency !== 'none') this.#scheduleHuntEvent(huntFrequency);
-      // Loga o novo nível de mortalidade
-      try {
-        const history = duplicate(this.getFlag('contrato-de-sangue', 'history') || []);
-        history.push({
-          timestamp: Date.now(),
-          type: 'mortalidade',
-          level: huntFrequency,
-          mortalidade: mort
-        });
-        this.setFlag('contrato-de-sangue', 'history', history);
-      } catch (err) {
-        console.warn('Falha ao registrar histórico de mortalidade:', err);
-      }
+    for (const crossing of thresholdCrossings(options.contratoThresholds, this.#thresholdLevels())) {
+      this.#onThresholdCrossed(crossing);
     }
   }
 
   /**
-   * Agenda um evento no Simple Calendar de acordo com a frequência de caça.
-   * Esta função é privada e não está exposta via API. Caso o módulo
-   * Simple Calendar esteja instalado e ativo, tenta criar uma nota para
-   * lembrar o jogador de caçar nos intervalos apropriados. Se o módulo não
-   * estiver presente, simplesmente registra no console para fins de debug.
+   * Nível atual de cada limiar acompanhado: a faixa de caça da Mortalidade,
+   * se Humanidade e Bestialidade estão nos extremos de
+   * `CONFIG.Contrato.balanceExtremes` e se a Bestialidade chegou ao ponto em
+   * que o personagem é perdido para a Besta.
+   *
+   * @returns {Record<string, string>}
+   */
+  #thresholdLevels() {
+    return thresholdLevels(this.system.attributes, {
+      extremes: CONFIG.Contrato.balanceExtremes,
+      lostThreshold: CONFIG.Contrato.beast.lostThreshold
+    });
+  }
+
+  /**
+   * Reage a um limiar cruzado. Falhas são registradas no console e não
+   * rejeitam a promessa, que `_onUpdate` não aguarda.
+   *
+   * @param {{threshold: string, from: string, to: string, direction: string}} crossing
+   * @returns {Promise<void>}
+   */
+  async #onThresholdCrossed(crossing) {
+    try {
+      Hooks.call('contrato.thresholdCrossed', this, crossing);
+      await this.recordHistory({ type: 'attribute', event: 'threshold', ...crossing });
+      if (crossing.threshold === 'mortalidade') await scheduleHunt(this);
+    } catch (err) {
+      console.error('Contrato de Sangue | Falha ao reagir ao limiar cruzado:', err);
+    }
+  }
+
+  /**
+   * Verdadeiro se um jogador tenta alterar perícias, Humanidade ou
+   * Bestialidade de um personagem já criado por fora das regras do sistema.
+   * Evoluções, as mudanças de Bestialidade das regras (Dado Umbral, caças
+   * perdidas, redenção) e os custos de poderes marcam as suas atualizações com
+   * a opção `contratoRule`.
+   *
+   * @param {object} changed Alterações pendentes
+   * @param {object} options Opções da atualização
+   * @param {User} user Quem fez a alteração
+   * @returns {boolean}
+   */
+  #editsLockedFields(changed, options, user) {
+    if (user.isGM || options.contratoRule || !this.getFlag('contrato-de-sangue', 'created')) return false;
+    const system = changed.system ?? {};
+    return 'skills' in system || 'humanidade' in (system.attributes ?? {}) || 'bestialidade' in (system.attributes ?? {});
+  }
+
+  /**
+   * Mantém a saúde atual entre 0 e a saúde máxima.
+   *
+   * @param {object} changed Alterações pendentes
+   */
+  #clampHealth(changed) {
+    const saude = changed.system?.saude;
+    if (!saude) return;
+    const max = saude.max ?? this._source.system.saude.max;
+    const value = saude.value ?? this._source.system.saude.value;
+    if (value > max) saude.value = max;
+  }
+
+  /**
+   * Mantém a reserva atual de um NPC entre 0 e a máxima informada na ficha.
+   *
+   * @param {object} changed Alterações pendentes
+   */
+  #clampNpcReserve(changed) {
+    const reserva = changed.system?.reservaDados;
+    if (!reserva) return;
+    const max = reserva.max ?? this._source.system.reservaDados.max;
+    const current = reserva.current ?? this._source.system.reservaDados.current;
+    if (current > max) reserva.current = max;
+  }
+
+  /**
+   * Ajusta o atributo complementar quando Humanidade ou Bestialidade mudam, e
+   * reduz a reserva atual se o seu máximo cair. O corte fica em
+   * `options.contratoReserve` para que `_onUpdate` o registre no histórico,
+   * como as demais mudanças da reserva.
    *
-   * @param {string} frequency Uma das strings: 'weekly', 'twice-weekly', 'daily', 'constant'.
+   * @param {object} changed Alterações pendentes
+   * @param {object} options Opções da atualização
    */
-  #scheduleHuntEvent(frequency) {
-    const scModule = game.modules.get('foundryvtt-simple-calendar');
-    if (!scModule || !scModule.active || !scModule.api) {
-      console.warn('Simple Calendar não encontrado ou inativo. Caça não agendada.');
-      return;
+  #completeBalance(changed, options) {
+    const attrs = changed.system?.attributes;
+    if (!attrs) return;
+    const balance = completeBalance(attrs, this._source.system.attributes);
+    if (!balance) return;
+    Object.assign(attrs, balance);
+
+    // Uma queda de Bestialidade reduz o máximo da reserva
+    const max = reserveMax(attrs.bestialidade, this.system.bonuses?.reserve ?? 0);
+    const current = changed.system.reservaDados?.current ?? this._source.system.reservaDados.current;
+    if (current <= max) return;
+    foundry.utils.setProperty(changed, 'system.reservaDados.current', max);
+    options.contratoReserve = { from: this._source.system.reservaDados.current };
+  }
+
+  /**
+   * Configura as barras de recurso dos tokens novos: saúde na primeira e
+   * reserva de dados na segunda. Tokens de personagens são vinculados ao ator;
+   * os de NPCs não, para que cada lacaio tenha a própria saúde.
+   */
+  async _preCreate(data, options, user) {
+    if ((await super._preCreate(data, options, user)) === false) return false;
+    const token = data.prototypeToken ?? {};
+    this.updateSource({
+      'prototypeToken.bar1.attribute': token.bar1?.attribute ?? 'saude',
+      'prototypeToken.bar2.attribute': token.bar2?.attribute ?? 'reservaDados',
+      'prototypeToken.actorLink': token.actorLink ?? this.type === 'character'
+    });
+  }
+
+  /**
+   * Alterações feitas pelas barras do token passam pelos caminhos do sistema:
+   * a reserva de dados usa changeReserve (com registro no histórico) e a
+   * saúde usa applyDamage/heal.
+   *
+   * @override
+   */
+  async modifyTokenAttribute(attribute, value, isDelta = false, isBar = true) {
+    if (attribute === 'reservaDados') {
+      const delta = isDelta ? value : value - this.system.reservaDados.current;
+      return this.changeReserve(delta, 'token', { chat: false });
     }
-    const api = scModule.api;
-    // Obtém a data atual do calendário. Cada API pode variar; aqui usamos uma função hipotética currentDate().
-    const currentDate = api.currentDate ? api.currentDate() : { year: 0, month: 0, day: 0 };
-    // Define incrementos com base na frequência
-    let deltaDays = 0;
-    switch (frequency) {
-      case 'weekly': deltaDays = 7; break;
-      case 'twice-weekly': deltaDays = 3; break;
-      case 'daily': deltaDays = 1; break;
-      case 'constant': deltaDays = 0; break;
+    if (attribute === 'saude') {
+      const delta = isDelta ? value : value - this.system.saude.value;
+      return delta < 0 ? this.applyDamage(-delta) : this.heal(delta);
     }
-    // Calcula a próxima data para o lembrete. Se deltaDays = 0, agenda para hoje.
-    const nextDate = Object.assign({}, currentDate);
-    nextDate.day += deltaDays;
-    // Prepara o evento
-    const title = game.i18n.localize('CONTRATO.EVENT.MORTALITY');
-    const desc = `Sua mortalidade alcançou um nível que exige caça (${frequency}).`; 
+    return super.modifyTokenAttribute(attribute, value, isDelta, isBar);
+  }
+
+  /**
+   * Acrescenta uma entrada tipada ao histórico do ator (veja
+   * `contracto-history.js`). O carimbo de data, o tempo do mundo e o usuário
+   * são preenchidos automaticamente. Falhas são apenas registradas no
+   * console: a promessa nunca é rejeitada.
+   *
+   * @param {object} entry Dados da entrada; deve conter ao menos `type`.
+   * @returns {Promise<void>}
+   */
+  async recordHistory(entry) {
     try {
-      api.addEvent({ date: nextDate, title, description: desc });
+      await appendHistory(this, entry);
     } catch (err) {
-      console.warn('Falha ao criar evento no Simple Calendar:', err);
+      console.warn('Não foi possível registrar histórico:', err);
+    }
+  }
+
+  /**
+   * Altera a reserva de dados. Este é o único caminho pelo qual a reserva é
+   * gasta ou recuperada: o valor é persistido no documento, limitado entre 0
+   * e o máximo, registrado no histórico e, opcionalmente, anunciado no chat.
+   *
+   * @param {number} delta Quantidade a somar (negativa para gastar)
+   * @param {string} reason Motivo da alteração (chave em CONTRATO.RESERVE.REASON)
+   * @param {object} [options]
+   * @param {boolean} [options.chat=true] Se deve criar uma mensagem no chat
+   * @returns {Promise<number|false>} O novo valor da reserva, ou false se não
+   *   houver dados suficientes para o gasto.
+   */
+  async changeReserve(delta, reason, { chat = true } = {}) {
+    const { current, max } = this.system.reservaDados;
+    if (current + delta < 0) {
+      ui.notifications.warn(game.i18n.format('CONTRATO.RESERVE.INSUFFICIENT', { name: this.name, amount: -delta, current }));
+      return false;
+    }
+    const value = Math.clamp(current + delta, 0, max);
+    if (value === current) return current;
+    await this.update({ 'system.reservaDados.current': value });
+    await this.recordHistory({ type: 'reserve', reason, from: current, to: value });
+    if (chat) {
+      const reasonLabel = game.i18n.localize(`CONTRATO.RESERVE.REASON.${reason}`);
+      ChatMessage.create({
+        user: game.user.id,
+        speaker: ChatMessage.getSpeaker({ actor: this }),
+        content: `<strong>${game.i18n.localize('CONTRATO.RESERVE.LABEL')}</strong> – ${reasonLabel}<p>${current} → ${value} / ${max}</p>`
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Gasta dados da reserva.
+   *
+   * @param {number} [amount=1] Quantidade de dados a gastar
+   * @param {string} [reason='spend'] Motivo do gasto
+   * @param {object} [options] Repassado a changeReserve
+   * @returns {Promise<number|false>}
+   */
+  spendReserve(amount = 1, reason = 'spend', options) {
+    return this.changeReserve(-amount, reason, options);
+  }
+
+  /**
+   * Recupera dados da reserva de acordo com `CONFIG.Contrato.reserveRecovery`.
+   * Um valor nulo na configuração restaura a reserva ao máximo.
+   *
+   * @param {string} reason Uma das chaves: 'rest', 'feeding', 'scene', 'session', 'refresh'
+   * @param {object} [options] Repassado a changeReserve
+   * @returns {Promise<number|false>}
+   */
+  async recoverReserve(reason, options) {
+    // Vantagens de uso limitado por cena ou sessão voltam a ficar disponíveis
+    if (reason === 'scene' || reason === 'session') await this.#resetRerolls(reason);
+    // Alimentar-se também conta como a caça do período
+    if (reason === 'feeding') await recordFeeding(this);
+    const { current, max } = this.system.reservaDados;
+    const amount = CONFIG.Contrato.reserveRecovery[reason] ?? (max - current);
+    return this.changeReserve(amount, reason, options);
+  }
+
+  /**
+   * Libera as rerrolagens de vantagens usadas. O fim de cena libera as de
+   * período `cena`; o fim de sessão libera todas.
+   *
+   * @param {string} reason 'scene' ou 'session'
+   * @returns {Promise<void>}
+   */
+  async #resetRerolls(reason) {
+    const used = this.getFlag('contrato-de-sangue', 'rerollsUsed') ?? [];
+    if (!used.length) return;
+    const rules = this.system.bonuses?.rules ?? [];
+    const kept = reason === 'session'
+      ? []
+      : used.filter(id => rules.some(r => r.type === 'reroll' && r.itemId === id && r.period === 'sessao'));
+    await this.setFlag('contrato-de-sangue', 'rerollsUsed', kept);
+  }
+
+  /**
+   * Marca como usada a rerrolagem concedida por uma vantagem.
+   *
+   * @param {string} itemId Id da vantagem
+   * @returns {Promise<void>}
+   */
+  async useReroll(itemId) {
+    const used = this.getFlag('contrato-de-sangue', 'rerollsUsed') ?? [];
+    await this.setFlag('contrato-de-sangue', 'rerollsUsed', [...used, itemId]);
+  }
+
+  /**
+   * Restaura ao máximo a reserva de todos os personagens do mundo, ou apenas
+   * dos informados. Ação exclusiva do Mestre.
+   *
+   * @param {Actor[]} [actors] Personagens; por padrão, todos os do mundo
+   * @returns {Promise<void>}
+   */
+  static async refreshAllReserves(actors) {
+    if (!game.user.isGM) return;
+    actors ??= game.actors.filter(a => a.type === 'character');
+    for (const actor of actors) await actor.recoverReserve('refresh', { chat: false });
+    ChatMessage.create({
+      user: game.user.id,
+      content: game.i18n.format('CONTRATO.RESERVE.REFRESHED', { count: actors.length })
+    });
+  }
+
+  /**
+   * Aplica dano à saúde do personagem. Se o novo nível de ferimento for
+   * incapacitante, os combatentes do ator no combate atual são marcados como
+   * derrotados. Lacaios caem com qualquer dano e o seu token recebe a marca
+   * de derrotado mesmo fora de combate. Perto da Besta, o dano exige um teste
+   * de frenesi.
+   *
+   * @param {number} amount Pontos de dano
+   * @returns {Promise<number>} A saúde resultante
+   */
+  async applyDamage(amount) {
+    const { value, max } = this.system.saude;
+    const health = this.system.minion && amount > 0 ? 0 : Math.max(0, value - Math.max(0, amount));
+    if (health === value) return value;
+    await this.update({ 'system.saude.value': health });
+    if (this.system.minion) {
+      await this.toggleStatusEffect(CONFIG.specialStatusEffects.DEFEATED, { active: true, overlay: true });
     }
+    await this.recordHistory({ type: 'health', event: 'damage', amount: value - health, from: value, to: health });
+    ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: game.i18n.format('CONTRATO.COMBAT.DAMAGE_TAKEN', { name: this.name, amount: value - health, value: health, max })
+    });
+    if (this.system.saude.wound.key === 'incapacitado' && game.combat) {
+      const combatants = game.combat.getCombatantsByActor(this).filter(c => !c.defeated);
+      for (const combatant of combatants) await combatant.update({ defeated: true });
+    }
+    // A dor pode libertar a Besta
+    await frenzyCheck(this, 'damage');
+    return health;
+  }
+
+  /**
+   * Recupera saúde, até o máximo.
+   *
+   * @param {number} amount Pontos de saúde recuperados
+   * @returns {Promise<number>} A saúde resultante
+   */
+  async heal(amount) {
+    const { value, max } = this.system.saude;
+    const health = Math.min(max, value + Math.max(0, amount));
+    if (health === value) return value;
+    await this.update({ 'system.saude.value': health });
+    await this.recordHistory({ type: 'health', event: 'heal', amount: health - value, from: value, to: health });
+    return health;
+  }
+
+  /**
+   * Ataca com uma arma do inventário, ou com um ataque de NPC, contra o alvo
+   * marcado.
+   *
+   * @param {Item|string|number} item O equipamento, o seu id ou a posição do ataque do NPC
+   * @returns {Promise<object|null>}
+   */
+  rollAttack(item) {
+    if (typeof item === 'number') item = this.system.attack?.(item);
+    if (typeof item === 'string') item = this.items.get(item);
+    if (!item) return null;
+    return rollAttack(this, item);
+  }
+
+  /**
+   * Usa um poder do ator: paga o custo, anuncia no chat e aplica os efeitos.
+   *
+   * @param {Item|string} item O poder ou o seu id
+   * @returns {Promise<boolean>} Verdadeiro se o poder foi ativado
+   */
+  usePower(item) {
+    if (typeof item === 'string') item = this.items.get(item);
+    if (item?.type !== 'power') return false;
+    return usePower(this, item);
   }
 
   /**
    * Executa uma rolagem de perícia. Exibe um diálogo permitindo ao usuário
    * escolher entre gastar um Dado Sagrado (metade do d6) ou um Dado Umbral
-   * (valor cheio do d6 e aumento de Bestialidade). A reserva de dados é
-   * reduzida em 1. O resultado final é lançado no chat com formatação
-   * apropriada e um resumo textual.
+   * (valor cheio do d6 e aumento de Bestialidade), o modificador situacional
+   * e a dificuldade alvo. A reserva de dados é reduzida em 1. O resultado
+   * final é lançado no chat e, havendo dificuldade, classificado em grau de
+   * sucesso. NPCs veem, em vez disso, o diálogo curto de `quickRoll`.
    *
    * @param {string} skillKey A chave da perícia a ser rolada (correspondente a CONFIG.Contrato.skills).
+   * @param {object} [options]
+   * @param {number} [options.difficulty] Dificuldade pré-definida (por exemplo, escolhida pelo Mestre em uma macro)
+   * @param {Item} [options.item] Equipamento usado; sem ele, vale o melhor item equipado para a perícia
+   * @returns {Promise<SkillRollResult|null>} O resultado estruturado, ou null se a rolagem for cancelada
    */
-  async rollSkill(skillKey) {
+  async rollSkill(skillKey, { difficulty, item } = {}) {
     const skillConfig = CONFIG.Contrato.skills[skillKey];
     if (!skillConfig) {
-      ui.notifications.warn(`Perícia desconhecida: ${skillKey}`);
-      return;
+      ui.notifications.warn(game.i18n.format('CONTRATO.ROLL.UNKNOWN_SKILL', { skill: skillKey }));
+      return null;
+    }
+    // NPCs rolam com o modificador do Mestre, sem escolher o dado
+    if (this.type === 'npc') {
+      const choice = await promptNpcRoll(this, skillKey, { difficulty });
+      return choice ? this.quickRoll(skillKey, choice) : null;
     }
-    const skillLabel = skillConfig.label;
+    const skillLabel = game.i18n.localize(skillConfig.label);
     // Verifica se há dados na reserva
-    const { current, max } = this.system.reservaDados;
+    const { current } = this.system.reservaDados;
     if (current <= 0) {
-      ui.notifications.warn(`Sem dados na reserva para rolar ${skillLabel}.`);
-      return;
+      ui.notifications.warn(game.i18n.format('CONTRATO.ROLL.NO_RESERVE', { skill: skillLabel }));
+      return null;
     }
     // Cria o diálogo de escolha
     return new Promise((resolve) => {
-      let situationalMod = 0;
-      // Monta a lista de opções de modificador situacional
-      const options = CONFIG.Contrato.modifiers.map(m => `<option value="${m.value}">${m.label} (${m.value >= 0 ? '+' : ''}${m.value})</option>`).join('');
+      let chosen = false;
+      // Monta a lista de opções de modificador situacional; um equipamento
+      // equipado com qualidade pré-seleciona o modificador correspondente
+      const equipment = equipmentModifier(this, skillKey, item);
+      const options = CONFIG.Contrato.modifiers.map(m => {
+        const selected = equipment && m.quality === equipment.quality ? 'selected' : '';
+        return `<option value="${m.value}" data-quality="${m.quality ?? ''}" ${selected}>${game.i18n.localize(m.label)} (${m.value >= 0 ? '+' : ''}${m.value})</option>`;
+      }).join('');
+      const equipmentHint = equipment
+        ? `<p class="hint">${game.i18n.format('CONTRATO.EQUIPMENT.SUPPLIES', {
+          name: equipment.item.name,
+          quality: game.i18n.localize(CONFIG.Contrato.equipmentQualities[equipment.quality].label)
+        })}</p>`
+        : '';
+      const nextRoll = this.getFlag('contrato-de-sangue', 'nextRoll');
+      const nextRollHint = nextRoll
+        ? `<p class="hint">${game.i18n.format('CONTRATO.PARTY.PENDING_HINT', {
+          value: `${nextRoll.value > 0 ? '+' : ''}${nextRoll.value}`,
+          reason: nextRoll.reason || game.i18n.localize('CONTRATO.PARTY.GM_MODIFIER')
+        })}</p>`
+        : '';
+      const difficulties = CONFIG.Contrato.difficulties.map(d => `<option value="${d.value}" ${d.value === difficulty ? 'selected' : ''}>${game.i18n.localize(d.label)} (${d.value})</option>`).join('');
+      const customDifficulty = game.user.isGM
+        ? `<div class="form-group">
+          <label>${game.i18n.localize('CONTRATO.DIFFICULTY.CUSTOM')}:</label>
+          <input type="number" class="custom-difficulty" value="${Number.isFinite(difficulty) ? difficulty : ''}"/>
+        </div>`
+        : '';
       const htmlContent = `
         <p>${game.i18n.localize('CONTRATO.ROLL.DIALOG.MESSAGE')}</p>
         <div class="form-group">
-          <label>Modificador:</label>
+          <label>${game.i18n.localize('CONTRATO.ROLL.DIALOG.MODIFIER')}:</label>
           <select class="situational-mod">${options}</select>
-        </div>`;
-      const dialog = new Dialog({
-        title: game.i18n.format('CONTRATO.ROLL.DIALOG.TITLE', { skill: skillLabel }),
-        content: htmlContent,
-        buttons: {
-          sagrado: {
-            icon: '<i class="fas fa-cross"></i>',
-            label: game.i18n.localize('CONTRATO.ROLL.BUTTON.SAGRADO'),
-            callback: html => {
-              // obtém o modificador selecionado no momento da confirmação
-              const modVal = Number(html.find('.situational-mod').val());
-              situationalMod = modVal;
-              return this.#executeSkillRoll(skillKey, false, situationalMod).then(resolve);
-            }
-          },
-          umbral: {
-            icon: '<i class="fas fa-fire"></i>',
-            label: game.i18n.localize('CONTRATO.ROLL.BUTTON.UMBRAL'),
-            callback: html => {
-              const modVal = Number(html.find('.situational-mod').val());
-              situationalMod = modVal;
-              return this.#executeSkillRoll(skillKey, true, situationalMod).then(resolve);
-            }
-          }
+        </div>
+        ${equipmentHint}
+        ${nextRollHint}
+        <div class="form-group">
+          <label>${game.i18n.localize('CONTRATO.DIFFICULTY.LABEL')}:</label>
+          <select class="difficulty">
+            <option value="">${game.i18n.localize('CONTRATO.DIFFICULTY.NONE')}</option>
+            ${difficulties}
+          </select>
+        </div>
+        ${customDifficulty}`;
+      // Lê as escolhas do diálogo e executa a rolagem
+      const submit = (html, umbral) => {
+        chosen = true;
+        const modVal = Number(html.find('.situational-mod').val());
+        const quality = html.find('.situational-mod option:selected').data('quality');
+        const source = equipment && quality === equipment.quality ? equipment.item.name : null;
+        const custom = html.find('.custom-difficulty').val();
+        const selected = custom !== undefined && custom !== '' ? custom : html.find('.difficulty').val();
+        const target = selected === '' ? null : Number(selected);
+        return this.#executeSkillRoll(skillKey, umbral, modVal, target, source).then(resolve);
+      };
+      // Perto da Besta, ou em frenesi, só o Dado Umbral está disponível
+      const forced = mustUseUmbral(this);
+      const buttons = {
+        sagrado: {
+          icon: '<i class="fas fa-cross"></i>',
+          label: game.i18n.localize('CONTRATO.ROLL.BUTTON.SAGRADO'),
+          callback: html => submit(html, false)
         },
-        default: 'sagrado',
-        render: html => {
-          // atualiza o valor inicial do modificador
-          html.find('.situational-mod').change(ev => { situationalMod = Number(ev.target.value); });
+        umbral: {
+          icon: '<i class="fas fa-fire"></i>',
+          label: game.i18n.localize('CONTRATO.ROLL.BUTTON.UMBRAL'),
+          callback: html => submit(html, true)
         }
+      };
+      if (forced) delete buttons.sagrado;
+      const dialog = new Dialog({
+        title: game.i18n.format('CONTRATO.ROLL.DIALOG.TITLE', { skill: skillLabel }),
+        content: forced ? `${htmlContent}<p class="hint">${game.i18n.localize('CONTRATO.BEAST.FORCED_UMBRAL')}</p>` : htmlContent,
+        buttons,
+        default: forced ? 'umbral' : 'sagrado',
+        close: () => { if (!chosen) resolve(null); }
       });
       dialog.render(true);
     });
   }
 
+  /**
+   * Aplica o efeito de um Dado Umbral: a Bestialidade sobe 1 (até 11) e a
+   * Humanidade é ajustada em `_preUpdate` para manter a soma 12. Perto da
+   * Besta, o uso exige um teste de frenesi.
+   *
+   * @returns {Promise<void>}
+   */
+  async applyUmbralDie() {
+    if (this.type !== 'character') return;
+    await this.shiftBestialidade(1);
+    await frenzyCheck(this, 'umbral');
+  }
+
+  /**
+   * Altera a Bestialidade em `delta`, dentro dos limites da balança. A
+   * Humanidade é ajustada em `_preUpdate` para manter a soma 12.
+   *
+   * @param {number} delta Variação (negativa para reduzir)
+   * @returns {Promise<void>}
+   */
+  async shiftBestialidade(delta) {
+    const bestia = this.system.attributes.bestialidade;
+    const value = shiftBalance(bestia, delta);
+    if (value === bestia) return;
+    await this.update({ 'system.attributes.bestialidade': value }, { contratoRule: true });
+  }
+
+  /**
+   * Rolagem rápida de NPC, sem o diálogo de Sagrado/Umbral: o modificador é o
+   * escolhido pelo Mestre e um dado da reserva só é gasto se pedido (e se o
+   * NPC tiver reserva), valendo o d6 cheio. Personagens sempre passam pelo
+   * diálogo de `rollSkill`.
+   *
+   * @param {string} skillKey A chave da perícia
+   * @param {object} [options]
+   * @param {number} [options.modifier=0] Modificador escolhido pelo Mestre
+   * @param {number|null} [options.difficulty=null] Dificuldade alvo
+   * @param {boolean} [options.reserve=false] Se um dado da reserva é gasto
+   * @param {boolean} [options.chat=true] Se a rolagem é enviada ao chat
+   * @returns {Promise<SkillRollResult|null>}
+   */
+  async quickRoll(skillKey, { modifier = 0, difficulty = null, reserve = false, chat = true } = {}) {
+    if (this.type !== 'npc') return this.rollSkill(skillKey, { difficulty });
+    if (!CONFIG.Contrato.skills[skillKey]) {
+      ui.notifications.warn(game.i18n.format('CONTRATO.ROLL.UNKNOWN_SKILL', { skill: skillKey }));
+      return null;
+    }
+    reserve &&= this.system.reservaDados.enabled;
+    if (reserve && (await this.spendReserve(1, 'roll', { chat: false })) === false) return null;
+    const roll = ContratoRoll.fromSkill(this, skillKey, { umbral: true, reserve, modifier, difficulty });
+    await roll.evaluate();
+    if (chat) await roll.toMessage({ speaker: ChatMessage.getSpeaker({ actor: this }) });
+    const outcome = roll.getOutcome();
+    return {
+      skill: skillKey,
+      total: roll.total,
+      umbral: reserve,
+      natural: roll.natural,
+      difficulty,
+      outcome: outcome?.outcome ?? null,
+      margin: outcome?.margin ?? null,
+      roll
+    };
+  }
+
+  /**
+   * Tipos de dado da reserva que o ator pode gastar: NPCs só gastam dados
+   * cheios, e apenas se tiverem reserva; perto da Besta, personagens só
+   * gastam Dados Umbrais.
+   *
+   * @type {string[]}
+   */
+  get reserveDiceKinds() {
+    if (this.type === 'npc') return this.system.reservaDados.enabled ? ['umbral'] : [];
+    return mustUseUmbral(this) ? ['umbral'] : ['sagrado', 'umbral'];
+  }
+
   /**
    * Função interna responsável por resolver a rolagem após a escolha do jogador.
    * Reduz a reserva de dados e aplica as alterações de Bestialidade/Humanidade
-   * se o dado for umbral. Em seguida, realiza a rolagem 1d12 + perícia + d6
-   * (modificado) e envia um chat message.
+   * se o dado for umbral. Em seguida, avalia uma ContratoRoll (1d12 + perícia +
+   * d6 da reserva + modificador - penalidade de Mortalidade) e a envia ao chat.
+   * Um modificador pendente do painel do grupo é somado e então descartado.
    *
    * @param {string} skillKey A chave da perícia
    * @param {boolean} umbral Verdadeiro se for um Dado Umbral (valor cheio e aumenta Bestialidade)
+   * @param {number} situationalMod Modificador situacional escolhido no diálogo
+   * @param {number|null} difficulty Dificuldade alvo, se houver
+   * @param {string|null} equipment Nome do equipamento que forneceu o modificador
+   * @returns {Promise<SkillRollResult|null>}
    */
-  async #executeSkillRoll(skillKey, umbral, situationalMod = 0) {
-    const skillVal = Number(this.system.skills[skillKey] || 0);
+  async #executeSkillRoll(skillKey, umbral, situationalMod = 0, difficulty = null, equipment = null) {
     const human = Number(this.system.attributes.humanidade);
     const bestia = Number(this.system.attributes.bestialidade);
-    // Reduz a reserva de dados
-    const reserva = this.system.reservaDados;
-    reserva.current = Math.max(0, reserva.current - 1);
-    // Rola o d6 para o dado gasto
-    const d6Roll = new Roll('1d6');
-    await d6Roll.evaluate({ async: true });
-    let d6Value = d6Roll.total;
-    let modifierDesc = '';
-    if (!umbral) {
-      // Dado Sagrado: metade arredondada pra cima
-      d6Value = Math.ceil(d6Value / 2);
-      modifierDesc = game.i18n.localize('CONTRATO.ROLL.BUTTON.SAGRADO');
-    } else {
-      // Dado Umbral: valor cheio e aumenta Bestialidade
-      modifierDesc = game.i18n.localize('CONTRATO.ROLL.BUTTON.UMBRAL');
-      // Aumenta Bestialidade diminuindo Humanidade para manter soma 12
-      const newBestialidade = Math.min(11, bestia + 1);
-      const newHumanidade = Math.max(0, 12 - newBestialidade);
-      await this.update({ 'system.attributes.bestialidade': newBestialidade, 'system.attributes.humanidade': newHumanidade });
-    }
-    // Rola o d12 base
-    const roll = new Roll('1d12');
-    await roll.evaluate({ async: true });
-    const total = roll.total + skillVal + d6Value + situationalMod;
-    // Mensagem no chat
-    const parts = [];
-    parts.push(`<strong>${game.i18n.localize('CONTRATO.ROLL.DIALOG.TITLE').replace('{{skill}}', CONFIG.Contrato.skills[skillKey].label)}</strong>`);
-    parts.push(`<p>1d12 (${roll.total}) + perícia (${skillVal}) + ${modifierDesc} (${d6Value}) ${situationalMod !== 0 ? (situationalMod > 0 ? '+ ' + situationalMod : '- ' + Math.abs(situationalMod)) : ''}</p>`);
-    parts.push(`<p><strong>Total:</strong> ${total}</p>`);
-    const chatData = {
-      user: game.user.id,
-      speaker: ChatMessage.getSpeaker({ actor: this }),
-      content: parts.join('')
-    };
-    ChatMessage.create(chatData);
+    // Reduz a reserva de dados; o cartão da rolagem já informa o gasto
+    if ((await this.spendReserve(1, 'roll', { chat: false })) === false) return null;
+    if (umbral) await this.applyUmbralDie();
+    // Modificador definido pelo Mestre no painel do grupo, válido uma vez
+    const gmModifier = this.getFlag('contrato-de-sangue', 'nextRoll') ?? null;
+
+    const roll = ContratoRoll.fromSkill(this, skillKey, { umbral, modifier: situationalMod, equipment, difficulty, gmModifier });
+    await roll.evaluate();
+    await roll.toMessage({ speaker: ChatMessage.getSpeaker({ actor: this }) });
+    if (gmModifier) await this.unsetFlag('contrato-de-sangue', 'nextRoll');
+    const total = roll.total;
+    const outcome = roll.getOutcome();
 
     // Registra o evento no histórico do ator
-    try {
-      const history = duplicate(this.getFlag('contrato-de-sangue', 'history') || []);
-      history.push({
-        timestamp: Date.now(),
-        type: 'roll',
-        skill: skillKey,
-        total: total,
-        humanidade: human,
-        bestialidade: bestia,
-        mort: this.system.attributes.mortalidade
-      });
-      await this.setFlag('contrato-de-sangue', 'history', history);
-    } catch (err) {
-      console.warn('Não foi possível registrar histórico:', err);
-    }
-    return total;
+    await this.recordHistory({
+      type: 'roll',
+      skill: skillKey,
+      total: total,
+      difficulty,
+      outcome: outcome?.outcome ?? null,
+      humanidade: human,
+      bestialidade: bestia,
+      mort: this.system.attributes.mortalidade
+    });
+    return {
+      skill: skillKey,
+      total,
+      umbral,
+      natural: roll.natural,
+      difficulty,
+      outcome: outcome?.outcome ?? null,
+      margin: outcome?.margin ?? null,
+      roll
+    };
   }
 }
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * Regras de vantagens. O campo `bonus` de uma vantagem aceita uma pequena
+ * linguagem, uma regra por linha (ou separadas por `;`), para que autores de
+ * compêndios criem vantagens sem escrever código:
+ *
+ *   pericia:investigacao +1   bônus nas rolagens de uma perícia
+ *   rolagem +1                bônus em todas as rolagens de perícia
+ *   reserva +1                aumenta o máximo da reserva de dados
+ *   penalidade -1             ignora pontos da penalidade de Mortalidade
+ *   rerolar:sagrado cena      rerrola o Dado Sagrado uma vez por cena
+ *
+ * Linhas vazias e linhas iniciadas por `#` são ignoradas; qualquer outra linha
+ * que não siga o formato é relatada como erro na folha do item.
+ */
+
+/** Frequências aceitas pela regra `rerolar`. */
+const REROLL_PERIODS = ['cena', 'sessao'];
+
+/**
+ * Interpreta o texto de bônus de uma vantagem.
+ *
+ * @param {string} text Texto do campo `bonus`
+ * @returns {{rules: object[], errors: string[]}} Regras estruturadas e linhas inválidas
+ */
+export function parseAdvantageRules(text) {
+  const rules = [];
+  const errors = [];
+  const lines = String(text ?? '').split(/[\n;]/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  for (const line of lines) {
+    const [target, arg, ...rest] = line.split(/\s+/);
+    const [type, key] = target.toLowerCase().split(':');
+    const value = Number(arg);
+    const numeric = /^[+-]?\d+$/.test(arg ?? '') && !rest.length;
+    // As chaves de perícia têm maiúsculas (armasBrancas), então a busca as ignora
+    const skill = type === 'pericia' && Object.keys(CONFIG.Contrato.skills).find(k => k.toLowerCase() === key);
+    if (skill && numeric) {
+      rules.push({ type: 'skill', key: skill, value });
+    } else if (['rolagem', 'reserva', 'penalidade'].includes(type) && !key && numeric) {
+      rules.push({ type: { rolagem: 'roll', reserva: 'reserve', penalidade: 'penalty' }[type], value });
+    } else if (type === 'rerolar' && key === 'sagrado' && REROLL_PERIODS.includes(arg) && !rest.length) {
+      rules.push({ type: 'reroll', key, period: arg });
+    } else {
+      errors.push(line);
+    }
+  }
+  return { rules, errors };
+}
+
+/**
+ * Reúne as regras de todas as vantagens de um ator e calcula os bônus
+ * resultantes. Cada regra guarda a vantagem de origem, para que o cartão de
+ * rolagem possa listar quem contribuiu.
+ *
+ * @param {Actor} actor
+ * @returns {{rules: object[], reserve: number, penalty: number}}
+ */
+export function collectAdvantageRules(actor) {
+  const rules = [];
+  for (const item of actor.items) {
+    if (item.type !== 'advantage') continue;
+    for (const rule of item.system.rules ?? []) rules.push({ ...rule, itemId: item.id, source: item.name });
+  }
+  const sum = type => rules.filter(r => r.type === type).reduce((total, r) => total + r.value, 0);
+  return { rules, reserve: sum('reserve'), penalty: sum('penalty') };
+}
+
+/**
+ * Bônus de vantagens que se aplicam à rolagem de uma perícia.
+ *
+ * @param {Actor} actor
+ * @param {string} skill Chave da perícia
+ * @returns {{name: string, value: number}[]}
+ */
+export function skillRollBonuses(actor, skill) {
+  const rules = actor.system.bonuses?.rules ?? [];
+  return rules
+    .filter(r => r.type === 'roll' || (r.type === 'skill' && r.key === skill))
+    .map(r => ({ name: r.source, value: r.value }));
+}
+
+/**
+ * Vantagem de rerrolagem do Dado Sagrado ainda não usada na cena, se houver.
+ *
+ * @param {Actor} actor
+ * @returns {object|null} A regra, com `itemId` e `source`
+ */
+export function availableSacredReroll(actor) {
+  const used = actor.getFlag('contrato-de-sangue', 'rerollsUsed') ?? [];
+  const rules = actor.system.bonuses?.rules ?? [];
+  return rules.find(r => r.type === 'reroll' && r.key === 'sagrado' && !used.includes(r.itemId)) ?? null;
+}
@@ -0,0 +1,312 @@
+/**
+ * A Besta. Os efeitos dos extremos da balança entre Humanidade e Bestialidade
+ * são configurados em `CONFIG.Contrato.beast`:
+ *
+ * - a partir de `frenzyThreshold`, usar um Dado Umbral ou sofrer dano exige
+ *   um teste de frenesi (1d12 + Humanidade contra Bestialidade +
+ *   `frenzyDifficulty`); na falha, o personagem entra em frenesi;
+ * - a partir de `forcedUmbralThreshold`, e durante o frenesi, as rolagens só
+ *   podem gastar Dados Umbrais;
+ * - ao atingir `lostThreshold`, o personagem é perdido para a Besta: os
+ *   jogadores perdem o controle do ator até que o Mestre o redima.
+ *
+ * A redenção (de volta à Humanidade) e a degeneração são feitas pelo Mestre,
+ * sempre com um motivo registrado no histórico.
+ */
+
+import { emitSocket, onSocket } from './contracto-socket.js';
+import { thresholdLevels } from './contracto-rules.js';
+
+/** Caminho do cartão de chat dos testes de frenesi. */
+const FRENZY_TEMPLATE = 'systems/contrato-de-sangue/templates/chat/frenzy-card.hbs';
+
+/**
+ * Verdadeiro se o personagem está em frenesi.
+ *
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function inFrenzy(actor) {
+  return actor.statuses?.has('frenzy') ?? false;
+}
+
+/**
+ * Verdadeiro se o personagem foi perdido para a Besta.
+ *
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function isLostToBeast(actor) {
+  return !!actor.getFlag('contrato-de-sangue', 'lost');
+}
+
+/**
+ * Nível atual da Bestialidade ('normal', 'extreme' ou 'lost'), recalculado
+ * a partir dos atributos do personagem.
+ *
+ * @param {Actor} actor Personagem
+ * @returns {string}
+ */
+function beastLevel(actor) {
+  return thresholdLevels(actor.system.attributes, {
+    extremes: CONFIG.Contrato.balanceExtremes,
+    lostThreshold: CONFIG.Contrato.beast.lostThreshold
+  }).bestialidade;
+}
+
+/**
+ * Verdadeiro se as rolagens do personagem só podem gastar Dados Umbrais.
+ *
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function mustUseUmbral(actor) {
+  if (actor.type !== 'character') return false;
+  return actor.system.attributes.bestialidade >= CONFIG.Contrato.beast.forcedUmbralThreshold || inFrenzy(actor);
+}
+
+/**
+ * Faz um teste de frenesi, se a Bestialidade do personagem o exigir. Na
+ * falha, o personagem recebe o efeito de frenesi, que expira como os efeitos
+ * de poderes.
+ *
+ * @param {Actor} actor Personagem
+ * @param {string} trigger O que provocou o teste: 'umbral' ou 'damage'
+ * @returns {Promise<boolean|null>} Verdadeiro se resistiu, falso se entrou em frenesi, null se não houve teste
+ */
+export async function frenzyCheck(actor, trigger) {
+  const config = CONFIG.Contrato.beast;
+  const { humanidade, bestialidade } = actor.system.attributes;
+  if (actor.type !== 'character' || bestialidade < config.frenzyThreshold || inFrenzy(actor)) return null;
+
+  const difficulty = bestialidade + config.frenzyDifficulty;
+  const roll = await new Roll('1d12 + @humanidade', { humanidade }).evaluate();
+  const resisted = roll.total >= difficulty;
+  await roll.toMessage({
+    speaker: ChatMessage.getSpeaker({ actor }),
+    flavor: await renderTemplate(FRENZY_TEMPLATE, {
+      name: actor.name,
+      trigger: game.i18n.localize(`CONTRATO.BEAST.TRIGGER.${trigger}`),
+      difficulty,
+      resisted
+    })
+  });
+  await actor.recordHistory({ type: 'beast', event: 'frenzy', trigger, total: roll.total, difficulty, resisted });
+  if (!resisted) {
+    await actor.createEmbeddedDocuments('ActiveEffect', [frenzyEffect()]);
+    Hooks.callAll('contrato.frenzy', actor, { trigger, roll });
+  }
+  return resisted;
+}
+
+/**
+ * Dados do efeito de frenesi, com início no momento atual.
+ *
+ * @returns {object}
+ */
+function frenzyEffect() {
+  const { frenzy } = CONFIG.Contrato.beast;
+  const combat = game.combat;
+  return {
+    name: game.i18n.localize('CONTRATO.BEAST.FRENZY'),
+    img: frenzy.img,
+    statuses: ['frenzy'],
+    changes: frenzy.changes,
+    duration: {
+      rounds: frenzy.rounds,
+      seconds: frenzy.seconds,
+      startTime: game.time.worldTime,
+      combat: combat?.id ?? null,
+      startRound: combat?.round ?? null,
+      startTurn: combat?.turn ?? null
+    },
+    flags: { 'contrato-de-sangue': { expires: true } }
+  };
+}
+
+/**
+ * Entrega o personagem à Besta: os jogadores passam a ter apenas permissão
+ * limitada sobre o ator, e as permissões anteriores são guardadas para a
+ * redenção. Alterar permissões exige o Mestre; um jogador repassa o pedido
+ * ao Mestre ativo (veja `requestBeast`).
+ *
+ * @param {Actor} actor Personagem
+ * @returns {Promise<void>}
+ */
+export async function loseToBeast(actor) {
+  if (isLostToBeast(actor)) return;
+  if (!game.user.isGM) {
+    requestBeast('lose', actor);
+    return;
+  }
+  const ownership = foundry.utils.deepClone(actor.ownership);
+  const limited = CONST.DOCUMENT_OWNERSHIP_LEVELS.LIMITED;
+  const updated = Object.fromEntries(Object.entries(ownership).map(([id, level]) => {
+    const user = game.users.get(id);
+    return [id, user?.isGM ? level : Math.min(level, limited)];
+  }));
+  await actor.update({
+    ownership: updated,
+    'flags.contrato-de-sangue.lost': { ownership, time: game.time.worldTime }
+  });
+  await actor.recordHistory({ type: 'beast', event: 'lost' });
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: game.i18n.format('CONTRATO.BEAST.LOST', { name: actor.name })
+  });
+  Hooks.callAll('contrato.lostToBeast', actor);
+}
+
+/**
+ * Repassa ao Mestre ativo um pedido de jogador para perder ou devolver um
+ * personagem. Sem Mestre conectado não há quem receba o pedido; o Mestre o
+ * acerta em `reconcileBeast` ao entrar.
+ *
+ * @param {'lose'|'restore'} command
+ * @param {Actor} actor Personagem
+ */
+function requestBeast(command, actor) {
+  const gm = game.users.activeGM;
+  if (gm) emitSocket('beast', { command, userId: gm.id, actorUuid: actor.uuid });
+}
+
+/**
+ * Devolve aos jogadores o controle de um personagem perdido para a Besta.
+ *
+ * @param {Actor} actor Personagem
+ * @returns {Promise<void>}
+ */
+export async function restoreFromBeast(actor) {
+  const lost = actor.getFlag('contrato-de-sangue', 'lost');
+  if (!lost || !game.user.isGM) return;
+  await actor.update({ ownership: lost.ownership, 'flags.contrato-de-sangue.-=lost': null });
+  await actor.recordHistory({ type: 'beast', event: 'restored' });
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: game.i18n.format('CONTRATO.BEAST.RESTORED', { name: actor.name })
+  });
+}
+
+/**
+ * Redenção ou degeneração conduzida pelo Mestre: move a balança em direção à
+ * Humanidade (`amount` positivo) ou à Bestialidade (negativo) e registra o
+ * motivo. Sem `amount` e `reason`, um diálogo os solicita.
+ *
+ * @param {Actor} actor Personagem
+ * @param {object} [options]
+ * @param {number} [options.amount] Pontos de Humanidade ganhos (negativo para perder)
+ * @param {string} [options.reason] Motivo registrado no histórico
+ * @returns {Promise<boolean>} Verdadeiro se a balança foi alterada
+ */
+export async function adjustBalance(actor, { amount, reason } = {}) {
+  if (!game.user.isGM || actor.type !== 'character') return false;
+  if (!Number.isFinite(amount) || !reason) {
+    const choice = await Dialog.prompt({
+      title: game.i18n.format('CONTRATO.BEAST.ADJUST_TITLE', { name: actor.name }),
+      content: `
+        <div class="form-group">
+          <label>${game.i18n.localize('CONTRATO.BEAST.DIRECTION')}:</label>
+          <select name="direction">
+            <option value="1">${game.i18n.localize('CONTRATO.BEAST.REDEMPTION')}</option>
+            <option value="-1">${game.i18n.localize('CONTRATO.BEAST.DEGENERATION')}</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('CONTRATO.BEAST.AMOUNT')}:</label>
+          <input type="number" name="amount" value="1" min="1"/>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('CONTRATO.BEAST.REASON')}:</label>
+          <input type="text" name="reason"/>
+        </div>`,
+      label: game.i18n.localize('CONTRATO.BEAST.APPLY'),
+      callback: html => ({
+        amount: Number(html.find('[name="direction"]').val()) * Math.abs(Number(html.find('[name="amount"]').val()) || 0),
+        reason: html.find('[name="reason"]').val().trim()
+      }),
+      rejectClose: false
+    });
+    if (!choice) return false;
+    ({ amount, reason } = choice);
+  }
+  if (!amount || !reason) {
+    ui.notifications.warn(game.i18n.localize('CONTRATO.BEAST.REASON_REQUIRED'));
+    return false;
+  }
+
+  const before = actor.system.attributes.humanidade;
+  await actor.shiftBestialidade(-amount);
+  const after = actor.system.attributes.humanidade;
+  if (after === before) return false;
+  const event = after > before ? 'redemption' : 'degeneration';
+  await actor.recordHistory({ type: 'attribute', event, from: before, to: after, reason, gm: game.user.name });
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: game.i18n.format(`CONTRATO.BEAST.${event.toUpperCase()}_DONE`, { name: actor.name, from: before, to: after, reason })
+  });
+  return true;
+}
+
+/**
+ * Reage aos limiares da balança: atingir o nível `lost` da Bestialidade
+ * entrega o personagem à Besta; sair dele devolve o controle aos jogadores.
+ * Registrado como ouvinte de `contrato.thresholdCrossed`, que não aguarda a
+ * reação: falhas, como uma permissão negada, são avisadas aqui.
+ *
+ * @param {Actor} actor
+ * @param {{threshold: string, from: string, to: string}} crossing
+ */
+function onThresholdCrossed(actor, crossing) {
+  if (crossing.threshold !== 'bestialidade') return;
+  let change;
+  if (crossing.to === 'lost') change = loseToBeast(actor);
+  else if (crossing.from !== 'lost') return;
+  else if (game.user.isGM) change = restoreFromBeast(actor);
+  else {
+    requestBeast('restore', actor);
+    return;
+  }
+  change.catch(err => {
+    console.error('Contrato de Sangue | Falha ao alterar o controle do personagem:', err);
+    ui.notifications.error(game.i18n.format('CONTRATO.BEAST.CONTROL_FAILED', { name: actor.name }));
+  });
+}
+
+/**
+ * Acerta o controle dos personagens com a balança atual: quem está no nível
+ * `lost` e ainda não foi entregue à Besta é entregue, e quem saiu dele é
+ * devolvido. Cobre pedidos de jogadores feitos sem Mestre conectado, que o
+ * socket não guarda. Executado pelo Mestre ativo no hook `ready`.
+ *
+ * @returns {Promise<void>}
+ */
+export async function reconcileBeast() {
+  if (!game.users.activeGM?.isSelf) return;
+  for (const actor of game.actors.filter(a => a.type === 'character')) {
+    const lost = beastLevel(actor) === 'lost';
+    if (lost && !isLostToBeast(actor)) await loseToBeast(actor);
+    else if (!lost && isLostToBeast(actor)) await restoreFromBeast(actor);
+  }
+}
+
+/**
+ * Registra o ouvinte dos limiares e o tratador de socket que executa, no
+ * Mestre ativo, as mudanças de permissão pedidas por jogadores. O pedido é
+ * só um aviso: o Mestre recalcula o nível da Bestialidade e recusa perder ou
+ * devolver um personagem que a balança não justifica. Chamado no hook
+ * `ready`.
+ */
+export function registerBeast() {
+  Hooks.on('contrato.thresholdCrossed', onThresholdCrossed);
+  onSocket('beast', async data => {
+    if (data.userId !== game.user.id) return;
+    const actor = await fromUuid(data.actorUuid);
+    if (actor?.type !== 'character') return;
+    const lost = beastLevel(actor) === 'lost';
+    if (data.command === 'lose' && lost) await loseToBeast(actor);
+    else if (data.command === 'restore' && !lost) await restoreFromBeast(actor);
+  });
+}
@@ -1,4 +1,9 @@
 import { ContractoActor } from './contracto-actor.js';
+import { opposedRoll } from './contracto-contests.js';
+import { formatWorldTime, huntStatus } from './contracto-hunt.js';
+import { adjustBalance, inFrenzy, isLostToBeast, mustUseUmbral } from './contracto-beast.js';
+import { AdvancementApp, CharacterCreationApp } from './contracto-creation.js';
+import { describeEntry, exportHistory, queryHistory } from './contracto-history.js';
 
 /**
  * Folha de personagem personalizada para o sistema Contrato de Sangue. Esta
@@ -9,6 +14,14 @@ import { ContractoActor } from './contracto-actor.js';
  * aba adicional permite anotações livres.
  */
 export class ContractoCharacterSheet extends ActorSheet {
+  /**
+   * Filtros da linha do tempo do histórico. Ficam apenas na folha aberta:
+   * datas no formato dos campos de data (AAAA-MM-DD).
+   *
+   * @type {{type: string, since: string, until: string, page: number}}
+   */
+  #historyFilter = { type: '', since: '', until: '', page: 1 };
+
   static get defaultOptions() {
     return mergeObject(super.defaultOptions, {
       classes: ['contrato', 'sheet', 'actor'],
@@ -18,6 +31,9 @@ export class ContractoCharacterSheet extends ActorSheet {
       tabs: [{ navSelector: '.sheet-tabs', contentSelector: '.sheet-body', initial: 'attributes' }],
       scrollY: [
         '.tab-skills',
+        '.tab-items',
+        '.tab-powers',
+        '.tab-history',
         '.tab-notes'
       ]
     });
@@ -30,7 +46,8 @@ export class ContractoCharacterSheet extends ActorSheet {
    */
   getData() {
     const data = super.getData();
-    const actorData = data.data; // dados do ator (system)
+    // Usa o modelo preparado: toObject() não inclui os valores derivados
+    const actorData = this.actor.system;
     // Organiza habilidades por tipo e adiciona rótulos traduzidos de categorias
     const categories = {};
     for (const [key, cfg] of Object.entries(CONFIG.Contrato.skills)) {
@@ -41,7 +58,7 @@ export class ContractoCharacterSheet extends ActorSheet {
           list: []
         };
       }
-      categories[cat].list.push({ key, label: cfg.label, value: actorData.skills[key] || 0 });
+      categories[cat].list.push({ key, label: game.i18n.localize(cfg.label), value: actorData.skills[key] || 0 });
     }
     // Ordena cada lista de habilidades
     for (const c of Object.values(categories)) {
@@ -51,14 +68,96 @@ export class ContractoCharacterSheet extends ActorSheet {
       humanPct: (actorData.attributes.humanidade / 12) * 100,
       bestialPct: (actorData.attributes.bestialidade / 12) * 100
     };
+    // Inventário de equipamentos, na ordem definida pelo arrastar e soltar
+    const inventory = this.actor.items
+      .filter(i => i.type === 'equipment')
+      .sort((a, b) => a.sort - b.sort)
+      .map(i => ({
+        id: i.id,
+        name: i.name,
+        img: i.img,
+        quantity: i.system.quantity,
+        weight: i.system.weight,
+        equipped: i.system.equipped,
+        isWeapon: i.system.isWeapon,
+        quality: i.system.quality ? game.i18n.localize(CONFIG.Contrato.equipmentQualities[i.system.quality]?.label ?? '') : null,
+        skill: i.system.skill ? game.i18n.localize(CONFIG.Contrato.skills[i.system.skill]?.label ?? '') : null,
+        damage: i.system.damage
+      }));
+    // Armas empunhadas, disponíveis para ataque na aba de atributos
+    const weapons = inventory.filter(i => i.isWeapon && i.equipped);
+    // Poderes utilizáveis
+    const powers = this.actor.items
+      .filter(i => i.type === 'power')
+      .map(i => ({
+        id: i.id,
+        name: i.name,
+        img: i.img,
+        activation: i.system.activation,
+        cost: i.system.cost,
+        resource: game.i18n.localize(CONFIG.Contrato.powerResources[i.system.costResource]?.label ?? '')
+      }));
+    // Rastreador de caça
+    const status = huntStatus(this.actor);
+    const hunt = {
+      ...status,
+      frequency: game.i18n.localize(`CONTRATO.HUNT.FREQUENCY.${actorData.mortalidade.hunt}`),
+      lastFedLabel: status.lastFed !== null ? formatWorldTime(status.lastFed) : null,
+      dueLabel: status.dueAt !== null ? formatWorldTime(status.dueAt) : null
+    };
+    // Linha do tempo do histórico
+    const types = CONFIG.Contrato.history.types;
+    const query = queryHistory(this.actor, { ...this.#historyRange(), page: this.#historyFilter.page });
+    this.#historyFilter.page = query.page;
+    const history = {
+      ...query,
+      filter: this.#historyFilter,
+      types: Object.fromEntries(Object.entries(types).map(([key, t]) => [key, t.label])),
+      entries: query.entries.map(e => ({
+        timestamp: e.timestamp,
+        icon: types[e.type].icon,
+        type: game.i18n.localize(types[e.type].label),
+        description: describeEntry(e),
+        user: game.users.get(e.user)?.name ?? ''
+      }))
+    };
+    const wound = actorData.saude.wound;
+    const created = !!this.actor.getFlag('contrato-de-sangue', 'created');
     return {
       ...data,
       system: actorData,
       categories,
-      balance
+      balance,
+      inventory,
+      encumbrance: {
+        ...actorData.encumbrance,
+        pct: Math.min(100, (actorData.encumbrance.weight / actorData.encumbrance.capacity) * 100)
+      },
+      weapons,
+      powers,
+      hunt,
+      history,
+      beast: {
+        lost: isLostToBeast(this.actor),
+        frenzy: inFrenzy(this.actor),
+        forcedUmbral: mustUseUmbral(this.actor)
+      },
+      isGM: game.user.isGM,
+      created,
+      // Após a criação, perícias e balança só mudam por avanços ou pelo Mestre
+      locked: created && !game.user.isGM,
+      woundLabel: wound.label ? game.i18n.localize(wound.label) : null
     };
   }
 
+  /**
+   * Redesenha a folha após uma gravação do histórico, que não redesenha as
+   * folhas por conta própria, se a linha do tempo estiver à vista.
+   */
+  refreshHistory() {
+    if (this.rendered && this._tabs[0]?.active === 'history') this.render(false);
+  }
+
   /**
    * Define ouvintes para eventos da interface. Botões de rolagem de perícias
    * utilizam a função rollSkill do ator. Entrada de atributos atualiza o
@@ -72,6 +171,58 @@ export class ContractoCharacterSheet extends ActorSheet {
       const skill = ev.currentTarget.dataset.skill;
       this.actor.rollSkill(skill);
     });
+    // Rolagem resistida contra o token marcado como alvo
+    html.find('.skill-oppose').click(ev => {
+      const skill = ev.currentTarget.dataset.skill;
+      opposedRoll(this.actor, skill);
+    });
+    // Ataque com arma contra o alvo marcado
+    html.find('.weapon-attack').click(ev => this.actor.rollAttack(ev.currentTarget.closest('[data-item-id]').dataset.itemId));
+    // Inventário: criar, equipar e alterar a quantidade de equipamentos
+    html.find('.item-create').click(ev => this.actor.createEmbeddedDocuments('Item', [{
+      name: game.i18n.localize('CONTRATO.EQUIPMENT.NEW'),
+      type: ev.currentTarget.dataset.type
+    }]));
+    html.find('.item-equip').click(ev => {
+      const item = this.actor.items.get(ev.currentTarget.closest('[data-item-id]').dataset.itemId);
+      item?.update({ 'system.equipped': !item.system.equipped });
+    });
+    html.find('.item-quantity').change(ev => {
+      ev.stopPropagation();
+      const item = this.actor.items.get(ev.currentTarget.closest('[data-item-id]').dataset.itemId);
+      item?.update({ 'system.quantity': Math.max(0, Math.round(Number(ev.currentTarget.value) || 0)) });
+    });
+    // Itens: usar poderes, editar e apagar
+    html.find('.power-use').click(ev => this.actor.usePower(ev.currentTarget.closest('[data-item-id]').dataset.itemId));
+    html.find('.item-edit').click(ev => {
+      const id = ev.currentTarget.closest('[data-item-id]').dataset.itemId;
+      this.actor.items.get(id)?.sheet.render(true);
+    });
+    html.find('.item-delete').click(ev => {
+      const id = ev.currentTarget.closest('[data-item-id]').dataset.itemId;
+      this.actor.items.get(id)?.delete();
+    });
+    // Gasto e recuperação da reserva de dados
+    html.find('.reserve-spend').click(() => this.actor.spendReserve(1));
+    html.find('.reserve-recover').click(ev => this.actor.recoverReserve(ev.currentTarget.dataset.reason));
+    // Filtros, paginação e exportação do histórico
+    html.find('[data-history-filter]').change(ev => {
+      ev.stopPropagation();
+      const input = ev.currentTarget;
+      this.#historyFilter[input.dataset.historyFilter] = input.value;
+      this.#historyFilter.page = 1;
+      this.render();
+    });
+    html.find('.history-page').click(ev => {
+      this.#historyFilter.page += Number(ev.currentTarget.dataset.delta);
+      this.render();
+    });
+    html.find('.history-export').click(ev => exportHistory(this.actor, ev.currentTarget.dataset.format, this.#historyRange()));
+    // Criação e evolução do personagem
+    html.find('.creation-open').click(() => new CharacterCreationApp(this.actor).render(true));
+    html.find('.advancement-open').click(() => new AdvancementApp(this.actor).render(true));
+    // Redenção e degeneração (apenas o Mestre)
+    html.find('.balance-adjust').click(() => adjustBalance(this.actor));
     // Impede que a soma de Humanidade e Bestialidade fuja de 12 na folha
     html.find('input[data-attr]').change(ev => {
       const input = ev.currentTarget;
@@ -83,4 +234,42 @@ export class ContractoCharacterSheet extends ActorSheet {
       this.actor.update(updates);
     });
   }
-}
\ No newline at end of file
+
+  /**
+   * Filtros de tipo e período do histórico, com as datas convertidas para
+   * milissegundos; o período inclui o dia final inteiro.
+   *
+   * @returns {{type: string, since: number, until: number}}
+   */
+  #historyRange() {
+    const { type, since, until } = this.#historyFilter;
+    return {
+      type,
+      since: since ? new Date(`${since}T00:00:00`).getTime() : NaN,
+      until: until ? new Date(`${until}T23:59:59.999`).getTime() : NaN
+    };
+  }
+
+  /**
+   * Ao soltar na folha um equipamento que o ator já possui (mesmo nome e
+   * mesma origem), a quantidade do item existente é somada em vez de criar uma
+   * cópia.
+   *
+   * @override
+   */
+  async _onDropItemCreate(itemData) {
+    const items = Array.isArray(itemData) ? itemData : [itemData];
+    const created = [];
+    for (const data of items) {
+      const existing = data.type === 'equipment' && this.actor.items.find(i => i.type === 'equipment'
+        && i.name === data.name
+        && i.getFlag('core', 'sourceId') === foundry.utils.getProperty(data, 'flags.core.sourceId'));
+      if (existing) {
+        await existing.update({ 'system.quantity': existing.system.quantity + (data.system?.quantity ?? 1) });
+      } else {
+        created.push(data);
+      }
+    }
+    return super._onDropItemCreate(created);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Subsistema de combate do Contrato de Sangue: iniciativa por tipo de ator,
+ * ataques com armas (equipamentos com dano) resolvidos contra a Defesa do
+ * alvo e cartão de dano com botão para aplicar o resultado à saúde do alvo.
+ */
+
+/**
+ * Combatente personalizado. Personagens usam a fórmula de
+ * `CONFIG.Combat.initiative`; NPCs, que não possuem perícias físicas
+ * completas, usam `CONFIG.Contrato.combat.npcInitiative`.
+ */
+export class ContractoCombatant extends Combatant {
+  /** @override */
+  _getInitiativeFormula() {
+    if (this.actor?.type === 'npc') return CONFIG.Contrato.combat.npcInitiative;
+    return super._getInitiativeFormula();
+  }
+}
+
+/**
+ * Dificuldade para acertar um ator: base de `CONFIG.Contrato.combat` mais a
+ * perícia Defesa do alvo (ou a parada de combate, para NPCs).
+ *
+ * @param {Actor} target Ator atacado
+ * @returns {number}
+ */
+export function defenseOf(target) {
+  return CONFIG.Contrato.combat.defenseBase + Number(target.system.skillValue?.('defesa') ?? 0);
+}
+
+/**
+ * Ataca com uma arma. O teste usa a perícia da arma contra a Defesa do primeiro
+ * token marcado como alvo (ou sem dificuldade, se não houver alvo). Em caso de
+ * sucesso, o dano da arma é rolado e enviado ao chat em um cartão com botão
+ * para aplicá-lo; um sucesso crítico soma o bônus de dano crítico.
+ *
+ * @param {Actor} actor Atacante
+ * @param {Item|{name: string, system: object}} item Equipamento com dano e perícia, ou o ataque de um NPC
+ * @returns {Promise<object|null>} Resultado do ataque, ou null se cancelado
+ */
+export async function rollAttack(actor, item) {
+  if (!item.system.isWeapon) {
+    ui.notifications.warn(game.i18n.format('CONTRATO.COMBAT.NOT_A_WEAPON', { name: item.name }));
+    return null;
+  }
+  const target = game.user.targets.first()?.actor ?? null;
+  const difficulty = target ? defenseOf(target) : undefined;
+  const result = await actor.rollSkill(item.system.skill, { difficulty, item });
+  if (!result) return null;
+
+  const hit = !target || result.outcome === 'success' || result.outcome === 'criticalSuccess';
+  let damage = null;
+  if (hit) {
+    const critical = result.outcome === 'criticalSuccess';
+    const formula = critical ? `${item.system.damage} + ${CONFIG.Contrato.combat.criticalDamageBonus}` : item.system.damage;
+    damage = await new Roll(formula, actor.getRollData()).evaluate();
+    const properties = Array.from(item.system.properties)
+      .map(p => game.i18n.localize(CONFIG.Contrato.weaponProperties[p] ?? p));
+    await damage.toMessage({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      flavor: await renderTemplate('systems/contrato-de-sangue/templates/chat/damage-card.hbs', {
+        weapon: item.name,
+        target: target?.name,
+        targetUuid: target?.uuid,
+        critical,
+        properties,
+        total: damage.total
+      })
+    });
+  }
+  return { ...result, target, hit, damage: damage?.total ?? null };
+}
+
+/**
+ * Ativa o botão "aplicar dano" dos cartões de dano. Registrado no hook
+ * `renderChatMessage`; o botão só aparece para quem pode alterar o alvo.
+ *
+ * @param {ChatMessage} message Mensagem renderizada
+ * @param {jQuery} html HTML da mensagem
+ */
+export function activateDamageListeners(message, html) {
+  html.find('.contrato-damage-card [data-action="apply-damage"]').each((i, button) => {
+    const target = fromUuidSync(button.dataset.targetUuid);
+    if (!target?.isOwner) {
+      button.remove();
+      return;
+    }
+    button.addEventListener('click', ev => {
+      ev.preventDefault();
+      target.applyDamage(Number(button.dataset.amount));
+    });
+  });
+}
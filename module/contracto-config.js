@@ -0,0 +1,228 @@
+/**
+ * Configuração do sistema Contrato de Sangue, atribuída a `CONFIG.Contrato`
+ * no hook `init`. Define listas de perícias e outras opções consultadas em
+ * diversos locais do sistema. A estrutura é simples para permitir futuras
+ * expansões (como vantagens, poderes e equipamentos). Os rótulos são chaves
+ * de tradução, localizadas apenas no uso, para que acompanhem o idioma atual.
+ * Por não depender do Foundry, o módulo também é importado pelos testes.
+ */
+export const CONTRATO = {
+  skills: {
+    atletismo: { label: 'CONTRATO.SKILLS.ATLETISMO', type: 'physical' },
+    briga: { label: 'CONTRATO.SKILLS.BRIGA', type: 'physical' },
+    conducao: { label: 'CONTRATO.SKILLS.CONDUCAO', type: 'physical' },
+    furtividade: { label: 'CONTRATO.SKILLS.FURTIVIDADE', type: 'physical' },
+    sobrevivencia: { label: 'CONTRATO.SKILLS.SOBREVIVENCIA', type: 'physical' },
+    computadores: { label: 'CONTRATO.SKILLS.COMPUTADORES', type: 'mental' },
+    investigacao: { label: 'CONTRATO.SKILLS.INVESTIGACAO', type: 'mental' },
+    medicina: { label: 'CONTRATO.SKILLS.MEDICINA', type: 'mental' },
+    ocultismo: { label: 'CONTRATO.SKILLS.OCULTISMO', type: 'mental' },
+    ciencias: { label: 'CONTRATO.SKILLS.CIENCIAS', type: 'mental' },
+    empatia: { label: 'CONTRATO.SKILLS.EMPATIA', type: 'social' },
+    expressao: { label: 'CONTRATO.SKILLS.EXPRESSAO', type: 'social' },
+    intimidacao: { label: 'CONTRATO.SKILLS.INTIMIDACAO', type: 'social' },
+    persuasao: { label: 'CONTRATO.SKILLS.PERSUASAO', type: 'social' },
+    subterfugio: { label: 'CONTRATO.SKILLS.SUBTERFUGIO', type: 'social' },
+    armasBrancas: { label: 'CONTRATO.SKILLS.ARMAS_BRANCAS', type: 'combat' },
+    armasDeFogo: { label: 'CONTRATO.SKILLS.ARMAS_DE_FOGO', type: 'combat' },
+    defesa: { label: 'CONTRATO.SKILLS.DEFESA', type: 'combat' }
+  },
+  /**
+   * Modificadores situacionais disponíveis para rolagens. Estes são
+   * baseados na tabela de regras e podem ser selecionados no diálogo de
+   * rolagem para ajustar a dificuldade de acordo com as condições da cena.
+   */
+  modifiers: [
+    { value: 3, label: 'CONTRATO.MODIFIERS.PERFECT', quality: 'perfeito' },
+    { value: 1, label: 'CONTRATO.MODIFIERS.ADEQUATE', quality: 'adequado' },
+    { value: 0, label: 'CONTRATO.MODIFIERS.NORMAL' },
+    { value: -1, label: 'CONTRATO.MODIFIERS.ADVERSE' },
+    { value: -3, label: 'CONTRATO.MODIFIERS.TERRIBLE' },
+    { value: -2, label: 'CONTRATO.MODIFIERS.RUSH' },
+    { value: -1, label: 'CONTRATO.MODIFIERS.DISTRACTION' }
+  ],
+  /**
+   * Tabela de dificuldades oferecida no diálogo de rolagem. O Mestre também
+   * pode informar um valor livre.
+   */
+  difficulties: [
+    { value: 8, label: 'CONTRATO.DIFFICULTY.EASY' },
+    { value: 10, label: 'CONTRATO.DIFFICULTY.NORMAL' },
+    { value: 13, label: 'CONTRATO.DIFFICULTY.HARD' },
+    { value: 16, label: 'CONTRATO.DIFFICULTY.VERY_HARD' },
+    { value: 20, label: 'CONTRATO.DIFFICULTY.EXTREME' }
+  ],
+  /**
+   * Margens para graus de sucesso. Um total que supera a dificuldade em
+   * `criticalSuccessMargin` é um sucesso crítico; um que fica abaixo dela
+   * em `criticalFailureMargin` ou mais é uma falha crítica. Com
+   * `naturalShift`, 12 natural no d12 sobe um grau e 1 natural desce um.
+   */
+  outcomes: {
+    criticalSuccessMargin: 5,
+    criticalFailureMargin: 5,
+    naturalShift: true
+  },
+  /**
+   * Níveis de ferimento, em ordem crescente da fração de saúde perdida. A
+   * penalidade do nível atingido é subtraída automaticamente das rolagens.
+   */
+  wounds: [
+    { key: 'ferido', threshold: 0.5, penalty: 1, label: 'CONTRATO.WOUNDS.FERIDO' },
+    { key: 'grave', threshold: 0.75, penalty: 2, label: 'CONTRATO.WOUNDS.GRAVE' },
+    { key: 'incapacitado', threshold: 1, penalty: 4, label: 'CONTRATO.WOUNDS.INCAPACITADO' }
+  ],
+  /**
+   * Parâmetros de combate: a dificuldade para acertar um alvo é
+   * `defenseBase` + Defesa do alvo; um sucesso crítico soma
+   * `criticalDamageBonus` ao dano; NPCs rolam iniciativa com `npcInitiative`.
+   */
+  combat: {
+    defenseBase: 8,
+    criticalDamageBonus: 2,
+    npcInitiative: '1d12 + @threat'
+  },
+  /** Propriedades de armas disponíveis nos equipamentos. */
+  weaponProperties: {
+    perfurante: 'CONTRATO.WEAPON.PROPERTY.PERFURANTE',
+    contundente: 'CONTRATO.WEAPON.PROPERTY.CONTUNDENTE',
+    cortante: 'CONTRATO.WEAPON.PROPERTY.CORTANTE',
+    automatica: 'CONTRATO.WEAPON.PROPERTY.AUTOMATICA',
+    silenciosa: 'CONTRATO.WEAPON.PROPERTY.SILENCIOSA',
+    duasMaos: 'CONTRATO.WEAPON.PROPERTY.DUAS_MAOS'
+  },
+  /**
+   * Qualidades de equipamento. Um item equipado com qualidade fornece o
+   * modificador situacional correspondente nas rolagens da sua perícia.
+   */
+  equipmentQualities: {
+    adequado: { label: 'CONTRATO.EQUIPMENT.QUALITY.ADEQUADO', modifier: 1 },
+    perfeito: { label: 'CONTRATO.EQUIPMENT.QUALITY.PERFEITO', modifier: 3 }
+  },
+  /**
+   * Carga: a capacidade é `baseCapacity` + `perAtletismo` por ponto de
+   * Atletismo. Acima dela, `penalty` é subtraída das perícias dos tipos em
+   * `skillTypes`.
+   */
+  encumbrance: {
+    baseCapacity: 10,
+    perAtletismo: 2,
+    penalty: 2,
+    skillTypes: ['physical', 'combat']
+  },
+  /**
+   * Recursos em que o custo de um poder pode ser pago. Um recurso com `pay`
+   * usa essa função (que devolve false se não puder pagar); os demais são
+   * descontados do caminho `path` do ator, sem cair abaixo de `min`.
+   */
+  powerResources: {
+    reserva: {
+      label: 'CONTRATO.RESERVE.LABEL',
+      pay: (actor, cost) => actor.spendReserve(cost, 'power', { chat: false })
+    },
+    humanidade: { label: 'CONTRATO.ATTRIBUTES.HUMANIDADE', path: 'system.attributes.humanidade', min: 1 },
+    saude: { label: 'CONTRATO.COMBAT.HEALTH', path: 'system.saude.value', min: 1 }
+  },
+  /**
+   * Valores a partir dos quais Humanidade e Bestialidade estão em um
+   * extremo da balança. Entrar ou sair de um extremo emite o evento
+   * `contrato.thresholdCrossed`.
+   */
+  balanceExtremes: { humanidade: 10, bestialidade: 10 },
+  /**
+   * Histórico dos personagens: tipos de entrada (rótulo e ícone na linha do
+   * tempo), limite do histórico ativo, quantas entradas além do limite são
+   * arquivadas de uma vez e o tamanho das páginas da linha do tempo.
+   */
+  history: {
+    cap: 300,
+    archiveBatch: 100,
+    pageSize: 20,
+    types: {
+      roll: { label: 'CONTRATO.HISTORY.TYPE.roll', icon: 'fas fa-dice-d20' },
+      reserve: { label: 'CONTRATO.HISTORY.TYPE.reserve', icon: 'fas fa-dice' },
+      power: { label: 'CONTRATO.HISTORY.TYPE.power', icon: 'fas fa-magic' },
+      attribute: { label: 'CONTRATO.HISTORY.TYPE.attribute', icon: 'fas fa-balance-scale' },
+      hunt: { label: 'CONTRATO.HISTORY.TYPE.hunt', icon: 'fas fa-tint' },
+      health: { label: 'CONTRATO.HISTORY.TYPE.health', icon: 'fas fa-heart' },
+      beast: { label: 'CONTRATO.HISTORY.TYPE.beast', icon: 'fas fa-skull' },
+      advance: { label: 'CONTRATO.HISTORY.TYPE.advance', icon: 'fas fa-level-up-alt' }
+    }
+  },
+  /**
+   * Criação de personagem: faixa permitida para a Humanidade inicial (a
+   * Bestialidade completa 12), pontos de perícia por categoria, limite de
+   * cada perícia e quantas vantagens e poderes iniciais podem ser
+   * escolhidos nos compêndios.
+   */
+  creation: {
+    humanidade: { min: 4, max: 8 },
+    skillBudgets: { physical: 6, mental: 6, social: 6, combat: 4 },
+    skillCap: 3,
+    advantages: 2,
+    powers: 1
+  },
+  /**
+   * Evolução por experiência: o próximo nível de uma perícia custa
+   * `skill` × o novo valor; vantagens e poderes têm custo fixo.
+   */
+  advancement: {
+    skill: 3,
+    advantage: 10,
+    power: 15
+  },
+  /**
+   * A Besta. A partir de `frenzyThreshold` de Bestialidade, usar um Dado
+   * Umbral ou sofrer dano exige um teste de frenesi (1d12 + Humanidade
+   * contra Bestialidade + `frenzyDifficulty`); a partir de
+   * `forcedUmbralThreshold`, só Dados Umbrais podem ser gastos; em
+   * `lostThreshold` o personagem é perdido para a Besta. `frenzy` descreve
+   * o efeito ativo aplicado na falha.
+   */
+  beast: {
+    frenzyThreshold: 8,
+    frenzyDifficulty: 3,
+    forcedUmbralThreshold: 10,
+    lostThreshold: 11,
+    frenzy: {
+      img: 'icons/svg/terror.svg',
+      rounds: 3,
+      seconds: 600,
+      changes: [
+        { key: 'system.skills.briga', mode: 2, value: '2' },
+        { key: 'system.skills.defesa', mode: 2, value: '-2' }
+      ]
+    }
+  },
+  /**
+   * Rastreador de caça. `intervals` dá o prazo entre caças de cada
+   * frequência (no formato de intervalo do Simple Calendar); sem o módulo,
+   * um dia tem `secondsPerDay` segundos. `noteRepeat` escolhe a recorrência
+   * da nota no calendário, que só repete notas de semana em semana ou com
+   * intervalos maiores; nas demais frequências a nota não se repete e é
+   * recriada pelo rastreador a cada prazo. Cada caça perdida soma `missedHunt.bestialidade`
+   * à Bestialidade e `missedHunt.penalty` à penalidade até a alimentação.
+   */
+  hunt: {
+    intervals: {
+      weekly: { day: 7 },
+      'twice-weekly': { day: 3, hour: 12 },
+      daily: { day: 1 },
+      constant: { hour: 12 }
+    },
+    secondsPerDay: 86400,
+    noteRepeat: { weekly: 'Weekly', 'twice-weekly': 'Never', daily: 'Never', constant: 'Never' },
+    missedHunt: { bestialidade: 1, penalty: 1 }
+  },
+  /**
+   * Dados recuperados pela reserva em cada situação. `null` restaura a
+   * reserva até o máximo.
+   */
+  reserveRecovery: {
+    rest: 1,
+    feeding: 3,
+    scene: 1,
+    session: null,
+    refresh: null
+  }
+};
@@ -0,0 +1,279 @@
+/**
+ * Rolagens resistidas e em grupo. Ambas se apoiam em `ContractoActor#rollSkill`:
+ * cada participante escolhe o próprio dado (Sagrado ou Umbral) e gasta da
+ * própria reserva. Quando o ator pertence a outro usuário, o pedido de rolagem
+ * é enviado pelo socket do sistema ao cliente do dono, que responde com o
+ * resultado. Ao final, um único cartão de chat resume o confronto.
+ */
+
+import { emitSocket, onSocket } from './contracto-socket.js';
+
+/** Tempo máximo de espera pela rolagem de outro usuário, em milissegundos. */
+const REQUEST_TIMEOUT = 120000;
+
+/** Pedidos de rolagem aguardando resposta, por id. */
+const pending = new Map();
+
+/**
+ * Escolhe o usuário que deve rolar por um ator: um jogador ativo dono do ator
+ * (de preferência aquele cujo personagem é o ator) ou, na falta, o Mestre
+ * ativo.
+ *
+ * @param {Actor} actor
+ * @returns {User|null}
+ */
+function rollerFor(actor) {
+  const players = game.users.filter(u => u.active && !u.isGM && actor.testUserPermission(u, 'OWNER'));
+  return players.find(u => u.character?.id === actor.id) ?? players[0] ?? game.users.activeGM ?? null;
+}
+
+/**
+ * Reduz o resultado de `rollSkill` a dados serializáveis, próprios para o
+ * socket e para os cartões de chat.
+ *
+ * @param {object|null} result Resultado de rollSkill
+ * @returns {object|null}
+ */
+function summarize(result) {
+  if (!result) return null;
+  const { skill, total, umbral, natural, difficulty, outcome, margin } = result;
+  return { skill, total, umbral, natural, difficulty, outcome, margin };
+}
+
+/**
+ * Verifica se um resultado conta como sucesso.
+ *
+ * @param {object|null} result
+ * @returns {boolean}
+ */
+function isSuccess(result) {
+  return result?.outcome === 'success' || result?.outcome === 'criticalSuccess';
+}
+
+/**
+ * Monta as opções de perícia para os diálogos.
+ *
+ * @param {string} [selected] Perícia pré-selecionada
+ * @returns {string}
+ */
+function skillOptions(selected) {
+  return Object.entries(CONFIG.Contrato.skills)
+    .map(([key, cfg]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${game.i18n.localize(cfg.label)}</option>`)
+    .join('');
+}
+
+/**
+ * Pede a rolagem de uma perícia de um ator ao usuário responsável por ele. Se
+ * esse usuário for o atual, a rolagem é feita localmente.
+ *
+ * @param {Actor} actor Ator que deve rolar
+ * @param {string} skill Chave da perícia
+ * @param {object} [options] Repassado a rollSkill (por exemplo, difficulty)
+ * @returns {Promise<object|null>} Resultado resumido, ou null se a rolagem não ocorrer
+ */
+export async function requestSkillRoll(actor, skill, options = {}) {
+  const user = rollerFor(actor);
+  if (!user || user.isSelf) return summarize(await actor.rollSkill(skill, options));
+  const requestId = foundry.utils.randomID();
+  return new Promise(resolve => {
+    const timeout = setTimeout(() => {
+      pending.delete(requestId);
+      ui.notifications.warn(game.i18n.format('CONTRATO.CONTEST.TIMEOUT', { name: actor.name }));
+      resolve(null);
+    }, REQUEST_TIMEOUT);
+    pending.set(requestId, result => {
+      clearTimeout(timeout);
+      resolve(result);
+    });
+    emitSocket('rollRequest', {
+      requestId,
+      userId: user.id,
+      requester: game.user.name,
+      actorUuid: actor.uuid,
+      skill,
+      options
+    });
+  });
+}
+
+/**
+ * Registra os tratadores de socket das rolagens pedidas a outros usuários.
+ * Chamado no hook `ready`.
+ */
+export function registerContestSocket() {
+  onSocket('rollRequest', async data => {
+    if (data.userId !== game.user.id) return;
+    const actor = await fromUuid(data.actorUuid);
+    let result = null;
+    if (actor) {
+      ui.notifications.info(game.i18n.format('CONTRATO.CONTEST.REQUESTED', {
+        user: data.requester,
+        name: actor.name,
+        skill: CONFIG.Contrato.skills[data.skill] ? game.i18n.localize(CONFIG.Contrato.skills[data.skill].label) : data.skill
+      }));
+      result = summarize(await actor.rollSkill(data.skill, data.options));
+    }
+    emitSocket('rollResult', { requestId: data.requestId, result });
+  });
+  onSocket('rollResult', data => {
+    const callback = pending.get(data.requestId);
+    pending.delete(data.requestId);
+    callback?.(data.result);
+  });
+}
+
+/**
+ * Rolagem resistida entre dois atores. O iniciador rola primeiro; em seguida o
+ * defensor é convidado a rolar, escolhendo Sagrado ou Umbral da própria
+ * reserva. Empates favorecem o defensor. Se a perícia ou o alvo não forem
+ * informados, um diálogo os solicita, usando o primeiro token marcado como
+ * alvo pelo usuário.
+ *
+ * @param {Actor} actor Ator que inicia o confronto
+ * @param {string} [skill] Perícia do iniciador
+ * @param {object} [options]
+ * @param {Actor} [options.target] Ator defensor
+ * @param {string} [options.targetSkill] Perícia do defensor (padrão: a mesma)
+ * @returns {Promise<object|null>} Resumo do confronto, ou null se cancelado
+ */
+export async function opposedRoll(actor, skill, { target, targetSkill } = {}) {
+  target ??= game.user.targets.first()?.actor;
+  if (!target) {
+    ui.notifications.warn(game.i18n.localize('CONTRATO.CONTEST.NO_TARGET'));
+    return null;
+  }
+  if (!skill || !targetSkill) {
+    const choice = await Dialog.prompt({
+      title: game.i18n.localize('CONTRATO.CONTEST.OPPOSED'),
+      content: `
+        <div class="form-group">
+          <label>${actor.name}:</label>
+          <select name="skill">${skillOptions(skill)}</select>
+        </div>
+        <div class="form-group">
+          <label>${target.name}:</label>
+          <select name="targetSkill">${skillOptions(targetSkill ?? skill)}</select>
+        </div>`,
+      label: game.i18n.localize('CONTRATO.CONTEST.ROLL'),
+      callback: html => ({
+        skill: html.find('[name="skill"]').val(),
+        targetSkill: html.find('[name="targetSkill"]').val()
+      }),
+      rejectClose: false
+    });
+    if (!choice) return null;
+    ({ skill, targetSkill } = choice);
+  }
+
+  const attack = summarize(await actor.rollSkill(skill));
+  if (!attack) return null;
+  const defense = await requestSkillRoll(target, targetSkill);
+
+  const margin = attack.total - (defense?.total ?? 0);
+  const winner = margin > 0 ? actor : target;
+  const summary = {
+    initiator: { name: actor.name, skill: game.i18n.localize(CONFIG.Contrato.skills[skill].label), ...attack },
+    defender: { name: target.name, skill: game.i18n.localize(CONFIG.Contrato.skills[targetSkill].label), ...defense, rolled: !!defense },
+    winner: winner.name,
+    margin: Math.abs(margin)
+  };
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: await renderTemplate('systems/contrato-de-sangue/templates/chat/opposed-card.hbs', summary)
+  });
+  return summary;
+}
+
+/**
+ * Rolagem em grupo: vários atores rolam a mesma perícia. No modo `best` vale
+ * o maior total; no modo `majority` o grupo tem sucesso se mais da metade dos
+ * participantes superar a dificuldade, que então é obrigatória. Sem atores
+ * informados, usa os tokens controlados ou, na falta, os personagens com
+ * jogador ativo.
+ *
+ * @param {Actor[]} [actors] Participantes
+ * @param {string} [skill] Perícia rolada por todos
+ * @param {object} [options]
+ * @param {string} [options.mode] 'best' ou 'majority'
+ * @param {number} [options.difficulty] Dificuldade alvo
+ * @returns {Promise<object|null>} Resumo da rolagem, ou null se cancelada
+ */
+export async function groupRoll(actors, skill, { mode, difficulty } = {}) {
+  actors ??= canvas.tokens?.controlled.map(t => t.actor).filter(a => a?.type === 'character');
+  if (!actors?.length) {
+    actors = game.actors.filter(a => a.type === 'character' && game.users.some(u => u.active && !u.isGM && a.testUserPermission(u, 'OWNER')));
+  }
+  if (!actors.length) {
+    ui.notifications.warn(game.i18n.localize('CONTRATO.CONTEST.NO_ACTORS'));
+    return null;
+  }
+  if (!skill || !mode) {
+    const difficulties = CONFIG.Contrato.difficulties
+      .map(d => `<option value="${d.value}" ${d.value === difficulty ? 'selected' : ''}>${game.i18n.localize(d.label)} (${d.value})</option>`)
+      .join('');
+    const choice = await Dialog.prompt({
+      title: game.i18n.localize('CONTRATO.CONTEST.GROUP'),
+      content: `
+        <p>${actors.map(a => a.name).join(', ')}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize('CONTRATO.ROLL.CARD.SKILL')}:</label>
+          <select name="skill">${skillOptions(skill)}</select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('CONTRATO.CONTEST.MODE')}:</label>
+          <select name="mode">
+            <option value="best">${game.i18n.localize('CONTRATO.CONTEST.MODE_BEST')}</option>
+            <option value="majority" ${mode === 'majority' ? 'selected' : ''}>${game.i18n.localize('CONTRATO.CONTEST.MODE_MAJORITY')}</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize('CONTRATO.DIFFICULTY.LABEL')}:</label>
+          <select name="difficulty">
+            <option value="">${game.i18n.localize('CONTRATO.DIFFICULTY.NONE')}</option>
+            ${difficulties}
+          </select>
+        </div>`,
+      label: game.i18n.localize('CONTRATO.CONTEST.ROLL'),
+      callback: html => ({
+        skill: html.find('[name="skill"]').val(),
+        mode: html.find('[name="mode"]').val(),
+        difficulty: html.find('[name="difficulty"]').val()
+      }),
+      rejectClose: false
+    });
+    if (!choice) return null;
+    skill = choice.skill;
+    mode = choice.mode;
+    difficulty = choice.difficulty === '' ? null : Number(choice.difficulty);
+  }
+  if (mode === 'majority' && !Number.isFinite(difficulty)) {
+    ui.notifications.warn(game.i18n.localize('CONTRATO.CONTEST.MAJORITY_NEEDS_DIFFICULTY'));
+    return null;
+  }
+
+  const results = await Promise.all(actors.map(a => requestSkillRoll(a, skill, { difficulty })));
+  const participants = actors.map((a, i) => ({ name: a.name, ...results[i], rolled: !!results[i], success: isSuccess(results[i]) }));
+  const rolled = participants.filter(p => p.rolled);
+  const best = rolled.reduce((top, p) => (!top || p.total > top.total ? p : top), null);
+  const successes = rolled.filter(p => p.success).length;
+  let success = null;
+  if (mode === 'majority') success = successes > participants.length / 2;
+  else if (Number.isFinite(difficulty)) success = !!best?.success;
+
+  const summary = {
+    skill: game.i18n.localize(CONFIG.Contrato.skills[skill].label),
+    mode,
+    modeLabel: game.i18n.localize(mode === 'majority' ? 'CONTRATO.CONTEST.MODE_MAJORITY' : 'CONTRATO.CONTEST.MODE_BEST'),
+    difficulty,
+    participants,
+    best: best?.name ?? null,
+    successes,
+    success
+  };
+  await ChatMessage.create({
+    user: game.user.id,
+    content: await renderTemplate('systems/contrato-de-sangue/templates/chat/group-card.hbs', summary)
+  });
+  return summary;
+}
@@ -0,0 +1,359 @@
+/**
+ * Criação e evolução de personagens. O assistente de criação conduz o
+ * jogador pela divisão inicial entre Humanidade e Bestialidade, pela
+ * distribuição de pontos de perícia por categoria e pela escolha de vantagens
+ * e poderes dos compêndios, dentro dos limites de `CONFIG.Contrato.creation`;
+ * a ficha só é gravada quando a construção é válida. Depois da criação, a
+ * experiência concedida pelo Mestre é gasta na janela de evolução, com os
+ * custos de `CONFIG.Contrato.advancement`.
+ */
+
+import { BALANCE_TOTAL, SKILL_MAX } from './contracto-rules.js';
+
+/** Tipos de item escolhidos nos compêndios, com a chave do seu limite/custo. */
+const TRAIT_TYPES = { advantage: 'advantages', power: 'powers' };
+
+/**
+ * Pontos de perícia gastos em cada categoria de `CONFIG.Contrato.skills`.
+ *
+ * @param {Record<string, number>} skills Valores das perícias
+ * @returns {Record<string, number>}
+ */
+export function skillPointsByType(skills) {
+  const spent = {};
+  for (const [key, cfg] of Object.entries(CONFIG.Contrato.skills)) {
+    spent[cfg.type] = (spent[cfg.type] ?? 0) + (Number(skills[key]) || 0);
+  }
+  return spent;
+}
+
+/**
+ * Valida uma construção de personagem contra `CONFIG.Contrato.creation`.
+ * Cada erro traz a chave de tradução e os dados para formatá-la.
+ *
+ * @param {{humanidade: number, skills: Record<string, number>, advantages: string[], powers: string[]}} build
+ * @returns {{key: string, data: object}[]} Erros; vazio se a construção for válida
+ */
+export function validateBuild(build) {
+  const config = CONFIG.Contrato.creation;
+  const errors = [];
+  const { min, max } = config.humanidade;
+  if (!Number.isInteger(build.humanidade) || build.humanidade < min || build.humanidade > max) {
+    errors.push({ key: 'CONTRATO.CREATION.ERROR.HUMANIDADE', data: { min, max } });
+  }
+  for (const [key, value] of Object.entries(build.skills)) {
+    if (!Number.isInteger(value) || value < 0 || value > config.skillCap) {
+      const label = CONFIG.Contrato.skills[key] ? game.i18n.localize(CONFIG.Contrato.skills[key].label) : key;
+      errors.push({ key: 'CONTRATO.CREATION.ERROR.SKILL_CAP', data: { skill: label, cap: config.skillCap } });
+    }
+  }
+  const spent = skillPointsByType(build.skills);
+  for (const [type, budget] of Object.entries(config.skillBudgets)) {
+    if ((spent[type] ?? 0) > budget) {
+      const category = game.i18n.localize(`CONTRATO.SKILLS.TYPE.${type}`);
+      errors.push({ key: 'CONTRATO.CREATION.ERROR.BUDGET', data: { category, spent: spent[type], budget } });
+    }
+  }
+  for (const limit of Object.values(TRAIT_TYPES)) {
+    if (build[limit].length > config[limit]) {
+      errors.push({ key: `CONTRATO.CREATION.ERROR.${limit.toUpperCase()}`, data: { max: config[limit] } });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Custo em experiência de uma evolução, ou null se ela não for possível (a
+ * perícia já está no máximo ou o tipo é desconhecido).
+ *
+ * @param {Actor} actor Personagem
+ * @param {{type: string, key?: string}} advance Evolução: `skill` (com a chave da perícia), `advantage` ou `power`
+ * @returns {number|null}
+ */
+export function advanceCost(actor, advance) {
+  const costs = CONFIG.Contrato.advancement;
+  if (advance.type === 'skill') {
+    const current = actor.system.skills[advance.key];
+    if (current === undefined || current >= SKILL_MAX) return null;
+    return (current + 1) * costs.skill;
+  }
+  return TRAIT_TYPES[advance.type] ? costs[advance.type] : null;
+}
+
+/**
+ * Compra uma evolução com a experiência disponível do personagem: sobe uma
+ * perícia em 1 ou adiciona uma vantagem ou poder de um compêndio.
+ *
+ * @param {Actor} actor Personagem
+ * @param {{type: string, key?: string, uuid?: string}} advance Evolução; `uuid` identifica o item de compêndio
+ * @returns {Promise<boolean>} Verdadeiro se a evolução foi comprada
+ */
+export async function purchaseAdvance(actor, advance) {
+  const cost = advanceCost(actor, advance);
+  if (cost === null) return false;
+  if (cost > actor.system.experience.available) {
+    ui.notifications.warn(game.i18n.format('CONTRATO.ADVANCEMENT.NOT_ENOUGH', { cost }));
+    return false;
+  }
+  const spent = actor.system.experience.spent + cost;
+  let name;
+  if (advance.type === 'skill') {
+    const value = actor.system.skills[advance.key] + 1;
+    await actor.update({ [`system.skills.${advance.key}`]: value, 'system.experience.spent': spent }, { contratoRule: true });
+    name = game.i18n.localize(CONFIG.Contrato.skills[advance.key].label);
+  } else {
+    const item = await fromUuid(advance.uuid);
+    if (item?.type !== advance.type) return false;
+    await actor.createEmbeddedDocuments('Item', [game.items.fromCompendium(item)]);
+    await actor.update({ 'system.experience.spent': spent });
+    name = item.name;
+  }
+  await actor.recordHistory({ type: 'advance', event: 'purchase', advance: advance.type, key: advance.key ?? null, name, cost });
+  return true;
+}
+
+/**
+ * Vantagens e poderes disponíveis nos compêndios de itens, ordenados por nome.
+ *
+ * @returns {Promise<Record<string, {uuid: string, name: string, img: string}[]>>}
+ */
+async function loadTraitCatalog() {
+  const catalog = Object.fromEntries(Object.keys(TRAIT_TYPES).map(type => [type, []]));
+  for (const pack of game.packs.filter(p => p.documentName === 'Item')) {
+    const index = await pack.getIndex({ fields: ['type'] });
+    for (const entry of index) {
+      if (entry.type in catalog) catalog[entry.type].push({ uuid: entry.uuid, name: entry.name, img: entry.img });
+    }
+  }
+  for (const list of Object.values(catalog)) list.sort((a, b) => a.name.localeCompare(b.name));
+  return catalog;
+}
+
+/**
+ * Perícias agrupadas por categoria para os templates, com o valor informado.
+ *
+ * @param {Record<string, number>} values Valores das perícias
+ * @returns {Record<string, {label: string, list: {key: string, label: string, value: number}[]}>}
+ */
+function skillCategories(values) {
+  const categories = {};
+  for (const [key, cfg] of Object.entries(CONFIG.Contrato.skills)) {
+    categories[cfg.type] ??= { label: game.i18n.localize(`CONTRATO.SKILLS.TYPE.${cfg.type}`), list: [] };
+    categories[cfg.type].list.push({ key, label: game.i18n.localize(cfg.label), value: values[key] ?? 0 });
+  }
+  for (const c of Object.values(categories)) c.list.sort((a, b) => a.label.localeCompare(b.label));
+  return categories;
+}
+
+/**
+ * Assistente de criação de personagem, em passos: balança, perícias,
+ * vantagens e poderes e revisão. A construção fica em memória até a
+ * conclusão, que é recusada enquanto houver erros de validação.
+ */
+export class CharacterCreationApp extends FormApplication {
+  /** Passos do assistente, na ordem. */
+  static STEPS = ['balance', 'skills', 'traits', 'review'];
+
+  constructor(actor, options = {}) {
+    super(actor, options);
+    this.step = 0;
+    this.build = {
+      humanidade: actor.system.attributes.humanidade,
+      skills: Object.fromEntries(Object.keys(CONFIG.Contrato.skills).map(key => [key, 0])),
+      advantages: [],
+      powers: []
+    };
+  }
+
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      classes: ['contrato', 'creation-wizard'],
+      template: 'systems/contrato-de-sangue/templates/creation-wizard.hbs',
+      width: 560,
+      height: 'auto',
+      submitOnChange: true,
+      closeOnSubmit: false
+    });
+  }
+
+  get title() {
+    return game.i18n.format('CONTRATO.CREATION.TITLE', { name: this.object.name });
+  }
+
+  async getData() {
+    this.catalog ??= await loadTraitCatalog();
+    const config = CONFIG.Contrato.creation;
+    const stepKey = CharacterCreationApp.STEPS[this.step];
+    const spent = skillPointsByType(this.build.skills);
+    const categories = skillCategories(this.build.skills);
+    for (const [type, category] of Object.entries(categories)) {
+      category.spent = spent[type] ?? 0;
+      category.budget = config.skillBudgets[type] ?? 0;
+      category.over = category.spent > category.budget;
+    }
+    const traits = {};
+    for (const [type, limit] of Object.entries(TRAIT_TYPES)) {
+      traits[type] = {
+        max: config[limit],
+        chosen: this.build[limit].length,
+        list: this.catalog[type].map(t => ({ ...t, checked: this.build[limit].includes(t.uuid) }))
+      };
+    }
+    const errors = validateBuild(this.build).map(e => game.i18n.format(e.key, e.data));
+    return {
+      steps: CharacterCreationApp.STEPS.map((key, i) => ({
+        key,
+        label: game.i18n.localize(`CONTRATO.CREATION.STEP.${key}`),
+        active: i === this.step
+      })),
+      step: stepKey,
+      first: this.step === 0,
+      last: this.step === CharacterCreationApp.STEPS.length - 1,
+      build: this.build,
+      bestialidade: BALANCE_TOTAL - this.build.humanidade,
+      humanidade: config.humanidade,
+      skillCap: config.skillCap,
+      categories,
+      traits,
+      summary: {
+        advantages: traits.advantage.list.filter(t => t.checked).map(t => t.name),
+        powers: traits.power.list.filter(t => t.checked).map(t => t.name)
+      },
+      errors
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-step-action="prev"]').click(() => this.#goTo(this.step - 1));
+    html.find('[data-step-action="next"]').click(() => this.#goTo(this.step + 1));
+    html.find('[data-step-action="finish"]').click(() => this.#finish());
+    html.find('.creation-step-tab').click(ev => this.#goTo(Number(ev.currentTarget.dataset.index)));
+  }
+
+  /**
+   * Incorpora à construção os campos do passo atual. Campos de outros passos
+   * não estão no formulário e permanecem como estavam.
+   *
+   * @override
+   */
+  async _updateObject(event, formData) {
+    if ('humanidade' in formData) this.build.humanidade = Number(formData.humanidade);
+    for (const [name, value] of Object.entries(formData)) {
+      const [group, key] = name.split('.');
+      if (group === 'skills') this.build.skills[key] = Number(value);
+      else if (group in TRAIT_TYPES) {
+        const { uuid } = this.catalog[group][Number(key)];
+        const list = this.build[TRAIT_TYPES[group]];
+        if (value && !list.includes(uuid)) list.push(uuid);
+        else if (!value && list.includes(uuid)) list.splice(list.indexOf(uuid), 1);
+      }
+    }
+    this.render();
+  }
+
+  /**
+   * Muda de passo.
+   *
+   * @param {number} step Índice do passo
+   */
+  #goTo(step) {
+    this.step = Math.clamp(step, 0, CharacterCreationApp.STEPS.length - 1);
+    this.render();
+  }
+
+  /**
+   * Grava a construção no personagem, se for válida: cria as vantagens e os
+   * poderes escolhidos, define atributos e perícias, enche a reserva e marca o
+   * personagem como criado.
+   *
+   * @returns {Promise<void>}
+   */
+  async #finish() {
+    const errors = validateBuild(this.build);
+    if (errors.length) {
+      ui.notifications.error(game.i18n.localize('CONTRATO.CREATION.INVALID'));
+      this.#goTo(CharacterCreationApp.STEPS.length - 1);
+      return;
+    }
+    const actor = this.object;
+    const items = [];
+    for (const uuid of [...this.build.advantages, ...this.build.powers]) {
+      const item = await fromUuid(uuid);
+      if (item) items.push(game.items.fromCompendium(item));
+    }
+    if (items.length) await actor.createEmbeddedDocuments('Item', items);
+    const bestialidade = BALANCE_TOTAL - this.build.humanidade;
+    await actor.update({
+      'system.attributes.humanidade': this.build.humanidade,
+      'system.attributes.bestialidade': bestialidade,
+      'system.skills': this.build.skills,
+      'flags.contrato-de-sangue.created': true
+    });
+    // O máximo da reserva já considera as vantagens recém-criadas
+    const { current, max } = actor.system.reservaDados;
+    await actor.changeReserve(max - current, 'creation', { chat: false });
+    await actor.recordHistory({
+      type: 'advance',
+      event: 'creation',
+      humanidade: this.build.humanidade,
+      bestialidade,
+      items: items.map(i => i.name)
+    });
+    await this.close();
+  }
+}
+
+/**
+ * Janela de evolução: mostra a experiência disponível e permite comprar
+ * níveis de perícia, vantagens e poderes.
+ */
+export class AdvancementApp extends Application {
+  constructor(actor, options = {}) {
+    super(options);
+    this.actor = actor;
+  }
+
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      classes: ['contrato', 'advancement'],
+      template: 'systems/contrato-de-sangue/templates/advancement.hbs',
+      width: 520,
+      height: 600,
+      scrollY: ['.advancement-body']
+    });
+  }
+
+  get title() {
+    return game.i18n.format('CONTRATO.ADVANCEMENT.TITLE', { name: this.actor.name });
+  }
+
+  async getData() {
+    this.catalog ??= await loadTraitCatalog();
+    const { available } = this.actor.system.experience;
+    const categories = skillCategories(this.actor.system.skills);
+    for (const category of Object.values(categories)) {
+      for (const skill of category.list) {
+        skill.cost = advanceCost(this.actor, { type: 'skill', key: skill.key });
+        skill.affordable = skill.cost !== null && skill.cost <= available;
+      }
+    }
+    const owned = new Set(this.actor.items.map(i => i.name));
+    const traits = {};
+    for (const type of Object.keys(TRAIT_TYPES)) {
+      const cost = advanceCost(this.actor, { type });
+      traits[type] = this.catalog[type]
+        .filter(t => !owned.has(t.name))
+        .map(t => ({ ...t, cost, affordable: cost <= available }));
+    }
+    return { experience: this.actor.system.experience, categories, traits };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-advance]').click(async ev => {
+      const { advance, key, uuid } = ev.currentTarget.dataset;
+      if (await purchaseAdvance(this.actor, { type: advance, key, uuid })) this.render();
+    });
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Modelos de dados (TypeDataModel) do sistema Contrato de Sangue. Cada tipo de
+ * ator e de item declara aqui o seu esquema, com limites e valores iniciais,
+ * de forma que dados inválidos sejam rejeitados pela camada de documentos em
+ * vez de corrigidos silenciosamente durante a preparação. Os modelos são
+ * registrados em `CONFIG.Actor.dataModels` e `CONFIG.Item.dataModels` no hook
+ * `init`.
+ */
+
+import { collectAdvantageRules, parseAdvantageRules } from './contracto-advantages.js';
+import { encumbranceOf } from './contracto-inventory.js';
+import { hungerPenalty } from './contracto-hunt.js';
+import { BALANCE_MAX, BALANCE_MIN, BALANCE_TOTAL, SKILL_MAX, mortalityLevel, reserveMax, woundLevel } from './contracto-rules.js';
+
+const fields = foundry.data.fields;
+
+/**
+ * Cria um campo numérico inteiro com os limites informados.
+ *
+ * @param {number} initial Valor inicial
+ * @param {object} [options] Opções adicionais de NumberField (min, max, label...)
+ * @returns {foundry.data.fields.NumberField}
+ */
+function integerField(initial, options = {}) {
+  return new fields.NumberField({ required: true, nullable: false, integer: true, initial, ...options });
+}
+
+/**
+ * Cria o esquema de perícias a partir de `CONFIG.Contrato.skills`. O esquema
+ * é montado de forma preguiçosa (após o `init`), então sempre reflete a lista
+ * configurada.
+ *
+ * @returns {foundry.data.fields.SchemaField}
+ */
+function skillsField() {
+  const skills = {};
+  for (const key of Object.keys(CONFIG.Contrato.skills)) {
+    skills[key] = integerField(0, { min: 0, max: SKILL_MAX });
+  }
+  return new fields.SchemaField(skills);
+}
+
+/**
+ * Cria o esquema das paradas de perícia dos NPCs: um valor por categoria de
+ * `CONFIG.Contrato.skills` (física, mental, social, combate).
+ *
+ * @returns {foundry.data.fields.SchemaField}
+ */
+function poolsField() {
+  const pools = {};
+  for (const { type } of Object.values(CONFIG.Contrato.skills)) {
+    pools[type] ??= integerField(0, { min: 0, max: SKILL_MAX });
+  }
+  return new fields.SchemaField(pools);
+}
+
+/**
+ * Converte um valor possivelmente textual em inteiro limitado ao intervalo
+ * informado. Usado apenas na migração de dados antigos.
+ *
+ * @param {*} value Valor original
+ * @param {number} fallback Valor usado quando o original não é numérico
+ * @param {number} min Limite inferior
+ * @param {number} max Limite superior
+ * @returns {number}
+ */
+function migrateInteger(value, fallback, min = -Infinity, max = Infinity) {
+  let n = Math.round(Number(value));
+  if (value === null || value === undefined || value === '' || Number.isNaN(n)) n = fallback;
+  return Math.clamp(n, min, max);
+}
+
+/**
+ * Migra o bloco de perícias de dados antigos, convertendo textos em números e
+ * limitando cada valor entre 0 e SKILL_MAX.
+ *
+ * @param {object} source Dados de origem do ator
+ */
+function migrateSkills(source) {
+  if (!source.skills || typeof source.skills !== 'object') return;
+  for (const [key, value] of Object.entries(source.skills)) {
+    source.skills[key] = migrateInteger(value, 0, 0, SKILL_MAX);
+  }
+}
+
+/**
+ * Modelo de dados do personagem jogador. Humanidade e Bestialidade ficam entre
+ * 1 e 11 e sempre somam 12 (o ator completa o par em `_preUpdate`);
+ * Mortalidade nunca é negativa; a reserva de dados atual é persistida e o seu
+ * máximo é derivado da Bestialidade.
+ */
+export class ContractoCharacterData extends foundry.abstract.TypeDataModel {
+  static defineSchema() {
+    return {
+      attributes: new fields.SchemaField({
+        humanidade: integerField(6, { min: BALANCE_MIN, max: BALANCE_MAX }),
+        bestialidade: integerField(6, { min: BALANCE_MIN, max: BALANCE_MAX }),
+        mortalidade: integerField(0, { min: 0 })
+      }),
+      reservaDados: new fields.SchemaField({
+        current: integerField(7, { min: 0 })
+      }),
+      saude: new fields.SchemaField({
+        value: integerField(10, { min: 0 }),
+        max: integerField(10, { min: 1 })
+      }),
+      skills: skillsField(),
+      experience: new fields.SchemaField({
+        total: integerField(0, { min: 0 }),
+        spent: integerField(0, { min: 0 })
+      }),
+      notes: new fields.HTMLField()
+    };
+  }
+
+  /**
+   * Migra atores criados antes dos modelos de dados: converte valores
+   * textuais, limita atributos e perícias e recompõe a soma 12 a partir da
+   * Humanidade, como a preparação antiga fazia. A reserva atual só é
+   * convertida e mantida não negativa.
+   */
+  static migrateData(source) {
+    const attrs = source.attributes;
+    if (attrs && typeof attrs === 'object') {
+      if ('humanidade' in attrs || 'bestialidade' in attrs) {
+        attrs.humanidade = migrateInteger(attrs.humanidade, BALANCE_TOTAL - migrateInteger(attrs.bestialidade, 6), BALANCE_MIN, BALANCE_MAX);
+        attrs.bestialidade = BALANCE_TOTAL - attrs.humanidade;
+      }
+      if ('mortalidade' in attrs) attrs.mortalidade = migrateInteger(attrs.mortalidade, 0, 0);
+    }
+    // Sem teto: o máximo real depende das vantagens, que só existem na
+    // preparação; `_preUpdate` e `changeReserve` o respeitam
+    const reserva = source.reservaDados;
+    if (reserva && typeof reserva === 'object' && 'current' in reserva) {
+      const fallback = Number.isInteger(attrs?.bestialidade) ? reserveMax(attrs.bestialidade) : 0;
+      reserva.current = migrateInteger(reserva.current, fallback, 0);
+    }
+    migrateSkills(source);
+    return super.migrateData(source);
+  }
+
+  /**
+   * Calcula os valores derivados: bônus das vantagens, máximo da reserva de
+   * dados (Bestialidade + 1, mais bônus), nível de ferimento, carga e
+   * penalidade/frequência de caça de acordo com a Mortalidade e a fome.
+   * `reservaDados.value` espelha `current` para as barras de recurso dos
+   * tokens; `experience.available` é a experiência ainda não gasta.
+   */
+  prepareDerivedData() {
+    super.prepareDerivedData();
+    this.bonuses = collectAdvantageRules(this.parent);
+    this.reservaDados.max = reserveMax(this.attributes.bestialidade, this.bonuses.reserve);
+    this.reservaDados.value = this.reservaDados.current;
+    this.saude.wound = woundLevel(this.saude.value, this.saude.max, CONFIG.Contrato.wounds);
+    this.encumbrance = encumbranceOf(this.parent);
+    this.experience.available = Math.max(0, this.experience.total - this.experience.spent);
+
+    let { penalty, hunt } = mortalityLevel(this.attributes.mortalidade);
+    // Caças perdidas somam a penalidade de fome até a próxima alimentação
+    penalty += hungerPenalty(this.parent);
+    this.mortalidade = { penalty: Math.max(0, penalty + this.bonuses.penalty), hunt };
+  }
+
+  /**
+   * Valor de uma perícia usado nas rolagens.
+   *
+   * @param {string} key Chave da perícia
+   * @returns {number}
+   */
+  skillValue(key) {
+    return this.skills[key] ?? 0;
+  }
+}
+
+/**
+ * Modelo de dados de NPCs e criaturas. Não participa da economia de
+ * Humanidade/Bestialidade: tem um nível de ameaça, paradas de perícia por
+ * categoria (uma perícia com valor próprio substitui a parada), saúde, uma
+ * reserva de dados opcional e ataques próprios, sem itens. Lacaios (`minion`)
+ * caem com qualquer dano e costumam ser usados como tokens não vinculados,
+ * vários a partir do mesmo ator.
+ */
+export class ContractoNpcData extends foundry.abstract.TypeDataModel {
+  static defineSchema() {
+    return {
+      threat: integerField(1, { min: 0 }),
+      minion: new fields.BooleanField({ initial: false }),
+      pools: poolsField(),
+      skills: skillsField(),
+      saude: new fields.SchemaField({
+        value: integerField(5, { min: 0 }),
+        max: integerField(5, { min: 1 })
+      }),
+      reservaDados: new fields.SchemaField({
+        enabled: new fields.BooleanField({ initial: false }),
+        current: integerField(0, { min: 0 }),
+        max: integerField(0, { min: 0 })
+      }),
+      attacks: new fields.ArrayField(new fields.SchemaField({
+        name: new fields.StringField({ required: true, blank: false }),
+        skill: new fields.StringField({ required: true, blank: false, initial: 'briga' }),
+        damage: new fields.StringField({ required: true, blank: true, initial: '1d6' })
+      })),
+      notes: new fields.HTMLField()
+    };
+  }
+
+  static migrateData(source) {
+    migrateSkills(source);
+    return super.migrateData(source);
+  }
+
+  /**
+   * Calcula o nível de ferimento e espelha a reserva em `value` para as
+   * barras dos tokens.
+   */
+  prepareDerivedData() {
+    super.prepareDerivedData();
+    this.saude.wound = woundLevel(this.saude.value, this.saude.max, CONFIG.Contrato.wounds);
+    this.reservaDados.value = this.reservaDados.current;
+  }
+
+  /**
+   * Valor de uma perícia usado nas rolagens: o valor próprio da perícia, ou
+   * a parada da sua categoria.
+   *
+   * @param {string} key Chave da perícia
+   * @returns {number}
+   */
+  skillValue(key) {
+    const type = CONFIG.Contrato.skills[key]?.type;
+    return this.skills[key] || this.pools[type] || 0;
+  }
+
+  /**
+   * Um ataque no formato aceito por `rollAttack`, como se fosse uma arma.
+   *
+   * @param {number} index Posição do ataque
+   * @returns {{name: string, system: object}|null}
+   */
+  attack(index) {
+    const attack = this.attacks[index];
+    if (!attack) return null;
+    return {
+      name: attack.name,
+      system: { isWeapon: !!attack.damage, skill: attack.skill, damage: attack.damage, properties: [] }
+    };
+  }
+}
+
+/**
+ * Modelo base de itens: todos possuem uma descrição.
+ */
+class ContractoItemData extends foundry.abstract.TypeDataModel {
+  static defineSchema() {
+    return {
+      description: new fields.HTMLField()
+    };
+  }
+}
+
+/**
+ * Poderes possuem uma ação de ativação opcional, um custo numérico pago em
+ * um recurso de `CONFIG.Contrato.powerResources` e um alvo: o próprio usuário
+ * (`self`) ou os tokens marcados (`targets`), que recebem os efeitos ativos
+ * do item.
+ */
+export class ContractoPowerData extends ContractoItemData {
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      activation: new fields.StringField({ required: true, blank: true, initial: '' }),
+      cost: integerField(0, { min: 0 }),
+      costResource: new fields.StringField({ required: true, blank: false, initial: 'reserva' }),
+      target: new fields.StringField({ required: true, choices: ['self', 'targets'], initial: 'self' })
+    };
+  }
+
+  static migrateData(source) {
+    if ('cost' in source) source.cost = migrateInteger(source.cost, 0, 0);
+    return super.migrateData(source);
+  }
+}
+
+/**
+ * Vantagens possuem um texto de bônus escrito na linguagem de regras de
+ * `contracto-advantages.js`, interpretado em `rules` durante a preparação.
+ */
+export class ContractoAdvantageData extends ContractoItemData {
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      bonus: new fields.StringField({ required: true, blank: true, initial: '' })
+    };
+  }
+
+  prepareDerivedData() {
+    super.prepareDerivedData();
+    const { rules, errors } = parseAdvantageRules(this.bonus);
+    this.rules = rules;
+    this.ruleErrors = errors;
+  }
+}
+
+/**
+ * Equipamentos. Quando têm uma fórmula de dano, funcionam como armas: a
+ * perícia indica com o que se ataca e as propriedades são chaves de
+ * `CONFIG.Contrato.weaponProperties`. Quantidade, peso e o estado equipado
+ * alimentam o inventário; um item equipado com `quality` fornece o
+ * modificador de equipamento nas rolagens da sua perícia.
+ */
+export class ContractoEquipmentData extends ContractoItemData {
+  static defineSchema() {
+    return {
+      ...super.defineSchema(),
+      skill: new fields.StringField({ required: true, blank: true, initial: '' }),
+      damage: new fields.StringField({ required: true, blank: true, initial: '' }),
+      properties: new fields.SetField(new fields.StringField({ blank: false })),
+      quantity: integerField(1, { min: 0 }),
+      weight: new fields.NumberField({ required: true, nullable: false, initial: 0, min: 0 }),
+      equipped: new fields.BooleanField({ initial: false }),
+      quality: new fields.StringField({
+        required: true,
+        blank: true,
+        initial: '',
+        choices: () => Object.keys(CONFIG.Contrato.equipmentQualities)
+      })
+    };
+  }
+
+  /**
+   * Verdadeiro se o equipamento pode ser usado para atacar.
+   *
+   * @type {boolean}
+   */
+  get isWeapon() {
+    return !!this.damage && !!this.skill;
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Histórico dos personagens. Cada entrada tem um tipo de
+ * `CONFIG.Contrato.history.types` (rolagem, reserva, poder, atributo, caça,
+ * saúde, Besta, evolução), um evento opcional dentro do tipo e os dados do
+ * acontecimento. As entradas ficam na flag `log`, um objeto indexado pelo id
+ * da entrada, de modo que registrar um evento grava apenas a nova chave em vez
+ * de reescrever o histórico inteiro. A flag fica no próprio ator porque os
+ * jogadores podem gravá-la sem passar pelo Mestre, o que o diário de arquivo
+ * não permite.
+ *
+ * As entradas de um mesmo acontecimento (uma mudança de atributo, os limiares
+ * que ela cruza e o teste de frenesi que provoca) são gravadas juntas, e as
+ * gravações não redesenham as folhas abertas: só a linha do tempo à vista é
+ * atualizada.
+ *
+ * O histórico ativo é limitado a `cap` entradas. Acima disso, o Mestre ativo
+ * move as mais antigas para uma página por ator no diário de arquivo; a
+ * exportação e a linha do tempo continuam enxergando as entradas arquivadas.
+ */
+
+import { emitSocket, onSocket } from './contracto-socket.js';
+
+/**
+ * Conversores das entradas gravadas pela versão original do sistema, que só
+ * registrava rolagens e mudanças de faixa de Mortalidade, pelo tipo antigo.
+ * Recebem a entrada antiga e a faixa de Mortalidade anterior.
+ */
+const LEGACY_TYPES = {
+  roll: ({ skill, total, humanidade, bestialidade, mort }) => ({ type: 'roll', skill, total, outcome: null, humanidade, bestialidade, mort }),
+  mortalidade: (old, previous) => ({ type: 'attribute', event: 'threshold', threshold: 'mortalidade', from: previous, to: old.level })
+};
+
+/**
+ * Gravações do histórico por ator: a que está em andamento e o lote de
+ * entradas que aguarda o fim dela.
+ *
+ * @type {Map<string, {writing: Promise<void>|null, batch: {entries: object[], written: Promise<void>}|null}>}
+ */
+const queues = new Map();
+
+/** Opções das atualizações que só gravam o histórico. */
+const HISTORY_UPDATE = { render: false, contratoHistory: true };
+
+/** Campos comuns a todas as entradas; os demais são os dados do evento. */
+const ENTRY_FIELDS = ['id', 'type', 'event', 'timestamp', 'worldTime', 'user'];
+
+/**
+ * Entradas do histórico ativo de um ator, da mais antiga para a mais recente.
+ *
+ * @param {Actor} actor
+ * @returns {object[]}
+ */
+function liveEntries(actor) {
+  const log = actor.getFlag('contrato-de-sangue', 'log') ?? {};
+  return Object.values(log).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Página do diário de arquivo com as entradas antigas de um ator.
+ *
+ * @param {Actor} actor
+ * @returns {JournalEntryPage|null}
+ */
+function archivePage(actor) {
+  const journal = game.journal.find(j => j.getFlag('contrato-de-sangue', 'historyArchive'));
+  return journal?.pages.find(p => p.getFlag('contrato-de-sangue', 'actorUuid') === actor.uuid) ?? null;
+}
+
+/**
+ * Todas as entradas de um ator, arquivadas e ativas, da mais antiga para a
+ * mais recente.
+ *
+ * @param {Actor} actor
+ * @returns {object[]}
+ */
+export function historyEntries(actor) {
+  const archived = archivePage(actor)?.getFlag('contrato-de-sangue', 'entries') ?? [];
+  return [...archived, ...liveEntries(actor)];
+}
+
+/**
+ * Acrescenta uma entrada ao histórico de um ator. Tipos fora de
+ * `CONFIG.Contrato.history.types` são recusados.
+ *
+ * @param {Actor} actor
+ * @param {object} entry Dados da entrada; deve conter ao menos `type`
+ * @returns {Promise<object>} A entrada gravada
+ */
+export async function appendHistory(actor, entry) {
+  if (!(entry.type in CONFIG.Contrato.history.types)) throw new Error(`Tipo de histórico desconhecido: ${entry.type}`);
+  const id = foundry.utils.randomID();
+  const stored = { id, timestamp: Date.now(), worldTime: game.time.worldTime, user: game.user.id, ...entry };
+  await queueEntry(actor, stored);
+  if (liveEntries(actor).length > CONFIG.Contrato.history.cap) {
+    if (game.users.activeGM?.isSelf) await archiveHistory(actor);
+    else emitSocket('history', { userId: game.users.activeGM?.id, actorUuid: actor.uuid });
+  }
+  return stored;
+}
+
+/**
+ * Enfileira uma entrada para gravação. Entradas registradas no mesmo ciclo,
+ * ou enquanto uma gravação anterior do mesmo ator está em andamento, saem
+ * juntas em uma única atualização.
+ *
+ * @param {Actor} actor
+ * @param {object} entry Entrada completa
+ * @returns {Promise<void>} Resolvida quando a entrada estiver gravada
+ */
+function queueEntry(actor, entry) {
+  let queue = queues.get(actor.uuid);
+  if (!queue) queues.set(actor.uuid, (queue = { writing: null, batch: null }));
+  if (queue.batch) {
+    queue.batch.entries.push(entry);
+    return queue.batch.written;
+  }
+  const batch = { entries: [entry] };
+  batch.written = (queue.writing ?? Promise.resolve()).catch(() => {}).then(() => {
+    // Entradas que chegarem daqui em diante formam o próximo lote
+    queue.batch = null;
+    return actor.update(Object.fromEntries(batch.entries.map(e => [`flags.contrato-de-sangue.log.${e.id}`, e])), HISTORY_UPDATE);
+  });
+  queue.batch = batch;
+  queue.writing = batch.written;
+  const done = () => {
+    if (queue.writing === batch.written) queues.delete(actor.uuid);
+  };
+  batch.written.then(done, done);
+  return batch.written;
+}
+
+/**
+ * Move as entradas mais antigas do histórico ativo para o diário de arquivo,
+ * deixando `cap - archiveBatch` entradas, para que o arquivamento não ocorra
+ * a cada novo evento. Apenas o Mestre pode criar e alterar o diário.
+ *
+ * @param {Actor} actor
+ * @returns {Promise<void>}
+ */
+export async function archiveHistory(actor) {
+  if (!game.user.isGM) return;
+  const { cap, archiveBatch } = CONFIG.Contrato.history;
+  const entries = liveEntries(actor);
+  if (entries.length <= cap) return;
+  const moved = entries.slice(0, entries.length - Math.max(0, cap - archiveBatch));
+
+  let page = archivePage(actor);
+  if (!page) {
+    let journal = game.journal.find(j => j.getFlag('contrato-de-sangue', 'historyArchive'));
+    journal ??= await JournalEntry.create({
+      name: game.i18n.localize('CONTRATO.HISTORY.ARCHIVE_JOURNAL'),
+      flags: { 'contrato-de-sangue': { historyArchive: true } }
+    });
+    [page] = await journal.createEmbeddedDocuments('JournalEntryPage', [{
+      name: actor.name,
+      type: 'text',
+      flags: { 'contrato-de-sangue': { actorUuid: actor.uuid, entries: [] } }
+    }]);
+  }
+  const archived = [...page.getFlag('contrato-de-sangue', 'entries'), ...moved];
+  const lines = archived.map(e => `<li>${new Date(e.timestamp).toLocaleString()} – ${describeEntry(e)}</li>`);
+  await page.update({
+    'text.content': `<ol>${lines.join('')}</ol>`,
+    'flags.contrato-de-sangue.entries': archived
+  });
+  await actor.update(Object.fromEntries(moved.map(e => [`flags.contrato-de-sangue.log.-=${e.id}`, null])), HISTORY_UPDATE);
+}
+
+/**
+ * Converte o histórico antigo (um array na flag `history`) em entradas
+ * tipadas na flag `log`. A faixa de Mortalidade de origem não era gravada;
+ * vem da entrada anterior, ou `none` na primeira.
+ *
+ * @param {Actor} actor
+ * @returns {Promise<void>}
+ */
+async function migrateHistory(actor) {
+  const legacy = actor.getFlag('contrato-de-sangue', 'history');
+  if (!Array.isArray(legacy)) return;
+  const log = {};
+  let level = 'none';
+  for (const old of legacy) {
+    const convert = LEGACY_TYPES[old?.type];
+    if (!convert) continue;
+    const id = foundry.utils.randomID();
+    log[id] = { ...convert(old, level), id, timestamp: old.timestamp ?? Date.now(), worldTime: null, user: null };
+    if (old.type === 'mortalidade') level = old.level;
+  }
+  await actor.update({ 'flags.contrato-de-sangue.log': log, 'flags.contrato-de-sangue.-=history': null });
+}
+
+/**
+ * Descrição legível de uma entrada, a partir da chave de tradução do seu
+ * tipo e evento.
+ *
+ * @param {object} entry
+ * @returns {string}
+ */
+export function describeEntry(entry) {
+  const data = { ...entry };
+  switch (entry.type) {
+    case 'roll':
+      data.skill = CONFIG.Contrato.skills[entry.skill] ? game.i18n.localize(CONFIG.Contrato.skills[entry.skill].label) : entry.skill;
+      data.outcome = entry.outcome ? game.i18n.localize(`CONTRATO.OUTCOME.${entry.outcome}`) : '';
+      if (entry.applied) return game.i18n.format('CONTRATO.HISTORY.ROLL_APPLIED', data);
+      break;
+    case 'reserve':
+      data.reason = game.i18n.localize(`CONTRATO.RESERVE.REASON.${entry.reason}`);
+      break;
+    case 'hunt':
+      data.frequency = game.i18n.localize(`CONTRATO.HUNT.FREQUENCY.${entry.frequency}`);
+      break;
+    case 'power':
+      data.resource = game.i18n.localize(CONFIG.Contrato.powerResources[entry.resource]?.label ?? entry.resource);
+      break;
+    case 'beast':
+      if (entry.trigger) data.trigger = game.i18n.localize(`CONTRATO.BEAST.TRIGGER.${entry.trigger}`);
+      if (entry.event === 'frenzy') data.result = game.i18n.localize(entry.resisted ? 'CONTRATO.BEAST.RESISTED' : 'CONTRATO.BEAST.FRENZIED');
+      break;
+    case 'attribute':
+      if (entry.attribute) data.attribute = game.i18n.localize(`CONTRATO.ATTRIBUTES.${entry.attribute.toUpperCase()}`);
+      if (entry.event === 'threshold') {
+        // Faixas de Mortalidade são frequências de caça; as da balança, níveis
+        const prefix = entry.threshold === 'mortalidade' ? 'CONTRATO.HUNT.FREQUENCY' : 'CONTRATO.HISTORY.LEVEL';
+        data.attribute = game.i18n.localize(`CONTRATO.ATTRIBUTES.${entry.threshold.toUpperCase()}`);
+        data.from = game.i18n.localize(`${prefix}.${entry.from}`);
+        data.to = game.i18n.localize(`${prefix}.${entry.to}`);
+      }
+      break;
+  }
+  const key = entry.event ? `CONTRATO.HISTORY.ENTRY.${entry.type}.${entry.event}` : `CONTRATO.HISTORY.ENTRY.${entry.type}`;
+  return game.i18n.has(key) ? game.i18n.format(key, data) : game.i18n.localize(CONFIG.Contrato.history.types[entry.type]?.label ?? entry.type);
+}
+
+/**
+ * Filtra o histórico de um ator, da entrada mais recente para a mais antiga,
+ * e devolve uma página.
+ *
+ * @param {Actor} actor
+ * @param {object} [filter]
+ * @param {string} [filter.type] Tipo de entrada; vazio para todos
+ * @param {number} [filter.since] Início do período (ms desde a época)
+ * @param {number} [filter.until] Fim do período (ms desde a época)
+ * @param {number} [filter.page=1] Página desejada, a partir de 1
+ * @param {number} [filter.pageSize] Entradas por página
+ * @returns {{entries: object[], page: number, pages: number, total: number}}
+ */
+export function queryHistory(actor, { type, since, until, page = 1, pageSize = CONFIG.Contrato.history.pageSize } = {}) {
+  const matches = filterEntries(historyEntries(actor), { type, since, until }).reverse();
+  const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+  const current = Math.clamp(page, 1, pages);
+  return {
+    entries: matches.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pages,
+    total: matches.length
+  };
+}
+
+/**
+ * Aplica os filtros de tipo e período.
+ *
+ * @param {object[]} entries
+ * @param {{type?: string, since?: number, until?: number}} filter
+ * @returns {object[]}
+ */
+function filterEntries(entries, { type, since, until }) {
+  return entries.filter(e => (!type || e.type === type)
+    && (!Number.isFinite(since) || e.timestamp >= since)
+    && (!Number.isFinite(until) || e.timestamp <= until));
+}
+
+/**
+ * Escapa um valor para uma célula CSV.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exporta o histórico de um ator, incluindo as entradas arquivadas, em JSON
+ * ou CSV. No CSV, os dados específicos de cada evento ficam na coluna
+ * `details`, em JSON.
+ *
+ * @param {Actor} actor
+ * @param {string} format 'json' ou 'csv'
+ * @param {{type?: string, since?: number, until?: number}} [filter] Filtros da linha do tempo
+ */
+export function exportHistory(actor, format, filter = {}) {
+  const entries = filterEntries(historyEntries(actor), filter);
+  const filename = `${actor.name.slugify()}-history.${format}`;
+  if (format === 'json') {
+    const data = { actor: actor.name, uuid: actor.uuid, exported: new Date().toISOString(), entries };
+    saveDataToFile(JSON.stringify(data, null, 2), 'application/json', filename);
+    return;
+  }
+  const header = ['timestamp', 'worldTime', 'type', 'event', 'user', 'description', 'details'];
+  const rows = entries.map(e => {
+    const details = Object.fromEntries(Object.entries(e).filter(([k]) => !ENTRY_FIELDS.includes(k)));
+    return [
+      new Date(e.timestamp).toISOString(),
+      e.worldTime,
+      e.type,
+      e.event,
+      game.users.get(e.user)?.name ?? e.user,
+      describeEntry(e),
+      JSON.stringify(details)
+    ].map(csvCell).join(',');
+  });
+  saveDataToFile([header.join(','), ...rows].join('\n'), 'text/csv', filename);
+}
+
+/**
+ * Registra o tratador que arquiva, no Mestre ativo, históricos que passaram
+ * do limite por eventos de jogadores, e migra históricos antigos. Chamado no
+ * hook `ready`.
+ *
+ * @returns {Promise<void>}
+ */
+export async function registerHistory() {
+  onSocket('history', async data => {
+    if (data.userId !== game.user.id) return;
+    const actor = await fromUuid(data.actorUuid);
+    if (actor) await archiveHistory(actor);
+  });
+  if (!game.users.activeGM?.isSelf) return;
+  for (const actor of game.actors) await migrateHistory(actor);
+}
@@ -0,0 +1,262 @@
+/**
+ * Rastreador de caça. Cada personagem guarda na flag `hunt` o momento da
+ * última alimentação e o prazo da próxima caça, ambos em segundos de
+ * `game.time.worldTime`. O prazo depende da frequência de caça derivada da
+ * Mortalidade (`system.mortalidade.hunt`) e dos intervalos de
+ * `CONFIG.Contrato.hunt`.
+ *
+ * Com o módulo Simple Calendar ativo, os prazos são calculados pelo
+ * calendário do mundo e cada personagem recebe uma nota no prazo da próxima
+ * caça, recriada a cada alimentação e a cada caça perdida. Sem ele, os dias têm `secondsPerDay` segundos. Em ambos
+ * os casos o Mestre ativo verifica os prazos a cada avanço do tempo do mundo:
+ * uma caça perdida gera um alerta e as consequências de `missedHunt`.
+ */
+
+import { addInterval, missedHunts } from './contracto-rules.js';
+
+/** Id do módulo Simple Calendar. */
+const SIMPLE_CALENDAR = 'foundryvtt-simple-calendar';
+
+/** Limite de caças perdidas contadas de uma vez, para saltos enormes no tempo. */
+const MAX_MISSED_PER_CHECK = 30;
+
+/**
+ * Verificação em andamento. Avanços seguidos do tempo encadeiam novas
+ * verificações nesta, para que nenhuma leia um prazo que a anterior ainda
+ * está gravando e conte a mesma caça perdida duas vezes.
+ *
+ * @type {Promise<void>}
+ */
+let pendingCheck = Promise.resolve();
+
+/**
+ * API do Simple Calendar, se o módulo estiver ativo.
+ *
+ * @returns {object|null}
+ */
+function calendarApi() {
+  if (!game.modules.get(SIMPLE_CALENDAR)?.active) return null;
+  return globalThis.SimpleCalendar?.api ?? null;
+}
+
+/**
+ * Verdadeiro se este cliente deve gravar os dados de caça: o Mestre ativo.
+ *
+ * @returns {boolean}
+ */
+function isResponsible() {
+  return !!game.users.activeGM?.isSelf;
+}
+
+/**
+ * Soma a um instante o intervalo de caça de uma frequência.
+ *
+ * @param {number} time Instante em segundos do tempo do mundo
+ * @param {string} frequency Frequência de caça ('weekly', 'daily'...)
+ * @returns {number|null} O prazo, ou null se a frequência não exige caça
+ */
+export function nextHuntTime(time, frequency) {
+  const interval = CONFIG.Contrato.hunt.intervals[frequency];
+  if (!interval) return null;
+  const api = calendarApi();
+  // O calendário conhece a duração real de dias e meses do mundo
+  if (api) return api.timestampPlusInterval(time, interval);
+  return addInterval(time, interval, CONFIG.Contrato.hunt.secondsPerDay);
+}
+
+/**
+ * Formata um instante do tempo do mundo para exibição: a data do calendário,
+ * com o Simple Calendar, ou a distância em dias a partir de agora.
+ *
+ * @param {number} time Instante em segundos
+ * @returns {string}
+ */
+export function formatWorldTime(time) {
+  const api = calendarApi();
+  if (api) {
+    const { date, time: clock } = api.formatTimestamp(time);
+    return `${date} ${clock}`;
+  }
+  const days = (time - game.time.worldTime) / CONFIG.Contrato.hunt.secondsPerDay;
+  const key = days >= 0 ? 'CONTRATO.HUNT.IN_DAYS' : 'CONTRATO.HUNT.DAYS_AGO';
+  return game.i18n.format(key, { days: Math.abs(days).toFixed(1) });
+}
+
+/**
+ * Estado de caça de um personagem, pronto para a folha.
+ *
+ * @param {Actor} actor
+ * @returns {{lastFed: number|null, dueAt: number|null, missed: number, overdue: boolean}}
+ */
+export function huntStatus(actor) {
+  const hunt = actor.getFlag('contrato-de-sangue', 'hunt') ?? {};
+  const dueAt = hunt.dueAt ?? null;
+  return {
+    lastFed: hunt.lastFed ?? null,
+    dueAt,
+    missed: hunt.missed ?? 0,
+    overdue: dueAt !== null && game.time.worldTime >= dueAt
+  };
+}
+
+/**
+ * Recria a nota de caça de um personagem no Simple Calendar. A nota antiga,
+ * se houver, é removida; a nova é visível para os donos do ator e se repete
+ * conforme `CONFIG.Contrato.hunt.noteRepeat`, quando o calendário suporta a
+ * recorrência.
+ *
+ * @param {Actor} actor
+ * @param {number|null} dueAt Prazo da próxima caça
+ * @param {string} frequency Frequência de caça
+ * @returns {Promise<string|null>} Id da nota criada
+ */
+async function updateCalendarNote(actor, dueAt, frequency) {
+  const api = calendarApi();
+  if (!api) return null;
+  const previous = actor.getFlag('contrato-de-sangue', 'hunt')?.noteId;
+  try {
+    if (previous) await api.removeNote(previous);
+    if (dueAt === null) return null;
+    const { year, month, day, hour, minute, seconds } = api.timestampToDate(dueAt);
+    const date = { year, month, day, hour, minute, seconds };
+    const repeat = api.NoteRepeat?.[CONFIG.Contrato.hunt.noteRepeat[frequency]] ?? api.NoteRepeat?.Never ?? 0;
+    const owners = game.users.filter(u => actor.testUserPermission(u, 'OWNER')).map(u => u.id);
+    const note = await api.addNote(
+      game.i18n.format('CONTRATO.HUNT.NOTE_TITLE', { name: actor.name }),
+      game.i18n.format('CONTRATO.HUNT.NOTE_CONTENT', {
+        name: actor.name,
+        frequency: game.i18n.localize(`CONTRATO.HUNT.FREQUENCY.${frequency}`)
+      }),
+      date,
+      date,
+      true,
+      repeat,
+      [],
+      'active',
+      'none',
+      owners,
+      owners
+    );
+    return note?.id ?? null;
+  } catch (err) {
+    console.warn('Contrato de Sangue | Falha ao atualizar a nota de caça no Simple Calendar:', err);
+    return null;
+  }
+}
+
+/**
+ * Recalcula o prazo da próxima caça a partir da última alimentação, por
+ * exemplo após uma mudança de frequência. Sem alimentação registrada, o
+ * rastreamento começa agora. Deve ser chamado por um único cliente: quem
+ * alterou a Mortalidade ou o Mestre ativo.
+ *
+ * @param {Actor} actor Personagem
+ * @returns {Promise<void>}
+ */
+export async function scheduleHunt(actor) {
+  if (actor.type !== 'character') return;
+  const frequency = actor.system.mortalidade.hunt;
+  const hunt = actor.getFlag('contrato-de-sangue', 'hunt') ?? {};
+  const lastFed = hunt.lastFed ?? game.time.worldTime;
+  const dueAt = nextHuntTime(lastFed, frequency);
+  const noteId = await updateCalendarNote(actor, dueAt, frequency);
+  await actor.setFlag('contrato-de-sangue', 'hunt', { ...hunt, lastFed, dueAt, noteId, frequency });
+}
+
+/**
+ * Registra uma alimentação: a última caça passa a ser agora, as caças
+ * perdidas são zeradas (encerrando a penalidade de fome) e o próximo prazo é
+ * agendado.
+ *
+ * @param {Actor} actor Personagem
+ * @returns {Promise<void>}
+ */
+export async function recordFeeding(actor) {
+  if (actor.type !== 'character') return;
+  const frequency = actor.system.mortalidade.hunt;
+  const lastFed = game.time.worldTime;
+  const dueAt = nextHuntTime(lastFed, frequency);
+  const noteId = await updateCalendarNote(actor, dueAt, frequency);
+  await actor.setFlag('contrato-de-sangue', 'hunt', { lastFed, dueAt, noteId, frequency, missed: 0 });
+  await actor.recordHistory({ type: 'hunt', event: 'fed', frequency });
+}
+
+/**
+ * Aplica as consequências das caças perdidas desde o último prazo: a
+ * Bestialidade sobe (a Humanidade é ajustada em `_preUpdate`), a contagem de
+ * caças perdidas aumenta a penalidade de fome e o prazo avança um intervalo
+ * por caça perdida, de modo que cada novo intervalo sem caçar conta outra vez.
+ *
+ * @param {Actor} actor Personagem
+ * @param {object} hunt Flag de caça atual, com o prazo vencido
+ * @returns {Promise<void>}
+ */
+async function missHunts(actor, hunt) {
+  const config = CONFIG.Contrato.hunt.missedHunt;
+  const frequency = actor.system.mortalidade.hunt;
+  const now = game.time.worldTime;
+  // Um salto grande no tempo pode cobrir vários intervalos
+  const { count, dueAt } = missedHunts(hunt.dueAt, now, time => nextHuntTime(time, frequency), MAX_MISSED_PER_CHECK);
+  const missed = (hunt.missed ?? 0) + count;
+  const noteId = await updateCalendarNote(actor, dueAt, frequency);
+  await actor.setFlag('contrato-de-sangue', 'hunt', { ...hunt, dueAt, missed, noteId });
+  if (config.bestialidade) await actor.shiftBestialidade(config.bestialidade * count);
+  await actor.recordHistory({ type: 'hunt', event: 'missed', frequency, missed });
+
+  const whisper = game.users.filter(u => u.isGM || actor.testUserPermission(u, 'OWNER')).map(u => u.id);
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    whisper,
+    content: game.i18n.format('CONTRATO.HUNT.MISSED', {
+      name: actor.name,
+      missed,
+      bestialidade: config.bestialidade * count,
+      penalty: missed * config.penalty
+    })
+  });
+  ui.notifications.warn(game.i18n.format('CONTRATO.HUNT.OVERDUE', { name: actor.name }));
+}
+
+/**
+ * Verifica os prazos de caça de todos os personagens. Executado pelo Mestre
+ * ativo ao carregar o mundo e a cada avanço do tempo do mundo. Personagens
+ * ainda sem rastreamento, ou cuja frequência mudou, são reagendados. Uma
+ * chamada feita durante outra verificação aguarda o fim dela.
+ *
+ * @returns {Promise<void>}
+ */
+export function checkHunts() {
+  const check = pendingCheck.then(checkAll);
+  pendingCheck = check.catch(err => console.error('Contrato de Sangue | Falha ao verificar as caças:', err));
+  return check;
+}
+
+/**
+ * Uma verificação dos prazos de caça.
+ *
+ * @returns {Promise<void>}
+ */
+async function checkAll() {
+  if (!isResponsible()) return;
+  const now = game.time.worldTime;
+  for (const actor of game.actors.filter(a => a.type === 'character')) {
+    const hunt = actor.getFlag('contrato-de-sangue', 'hunt');
+    if (hunt?.frequency !== actor.system.mortalidade.hunt) {
+      await scheduleHunt(actor);
+      continue;
+    }
+    if (Number.isFinite(hunt.dueAt) && now >= hunt.dueAt) await missHunts(actor, hunt);
+  }
+}
+
+/**
+ * Penalidade de fome de um personagem, somada à penalidade de Mortalidade.
+ *
+ * @param {Actor} actor
+ * @returns {number}
+ */
+export function hungerPenalty(actor) {
+  const missed = actor.flags?.['contrato-de-sangue']?.hunt?.missed ?? 0;
+  return missed * CONFIG.Contrato.hunt.missedHunt.penalty;
+}
@@ -0,0 +1,75 @@
+/**
+ * Inventário de equipamentos. Calcula a carga do personagem a partir do peso
+ * e da quantidade de cada equipamento e escolhe, entre os itens equipados, o
+ * que fornece o modificador de "equipamento adequado/perfeito" de uma perícia.
+ * A qualidade de cada equipamento é declarada em
+ * `CONFIG.Contrato.equipmentQualities`.
+ */
+
+/**
+ * Equipamentos carregados por um ator.
+ *
+ * @param {Actor} actor
+ * @returns {Item[]}
+ */
+function equipmentOf(actor) {
+  return actor.items.filter(i => i.type === 'equipment');
+}
+
+/**
+ * Calcula a carga de um ator. A capacidade é a base de
+ * `CONFIG.Contrato.encumbrance` mais um valor por ponto de Atletismo; acima
+ * dela o ator fica sobrecarregado e sofre a penalidade configurada nas
+ * perícias físicas e de combate.
+ *
+ * @param {Actor} actor
+ * @returns {{weight: number, capacity: number, encumbered: boolean, penalty: number}}
+ */
+export function encumbranceOf(actor) {
+  const config = CONFIG.Contrato.encumbrance;
+  const weight = equipmentOf(actor).reduce((total, i) => total + i.system.weight * i.system.quantity, 0);
+  const capacity = config.baseCapacity + config.perAtletismo * Number(actor.system.skills?.atletismo ?? 0);
+  const encumbered = weight > capacity;
+  return {
+    weight: Math.round(weight * 100) / 100,
+    capacity,
+    encumbered,
+    penalty: encumbered ? config.penalty : 0
+  };
+}
+
+/**
+ * Penalidade de carga aplicada à rolagem de uma perícia.
+ *
+ * @param {Actor} actor
+ * @param {string} skill Chave da perícia
+ * @returns {number}
+ */
+export function encumbrancePenalty(actor, skill) {
+  const type = CONFIG.Contrato.skills[skill]?.type;
+  if (!CONFIG.Contrato.encumbrance.skillTypes.includes(type)) return 0;
+  return actor.system.encumbrance?.penalty ?? 0;
+}
+
+/**
+ * Melhor equipamento equipado que auxilia uma perícia. Quando um item é
+ * informado (por exemplo, a arma de um ataque), apenas ele é considerado.
+ *
+ * @param {Actor} actor
+ * @param {string} skill Chave da perícia
+ * @param {Item} [item] Equipamento específico
+ * @returns {{item: Item, quality: string, modifier: number}|null}
+ */
+export function equipmentModifier(actor, skill, item) {
+  const qualities = CONFIG.Contrato.equipmentQualities;
+  const candidates = item ? [item] : equipmentOf(actor).filter(i => i.system.equipped);
+  let best = null;
+  for (const candidate of candidates) {
+    const quality = qualities[candidate.system.quality];
+    if (!quality || candidate.system.skill !== skill) continue;
+    if (!best || quality.modifier > best.modifier) {
+      best = { item: candidate, quality: candidate.system.quality, modifier: quality.modifier };
+    }
+  }
+  return best;
+}
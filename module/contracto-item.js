@@ -1,26 +1,17 @@
 /**
  * Item e folha de item para o sistema Contrato de Sangue. São utilizados para
- * representar poderes, vantagens, equipamentos e outros artefatos.
+ * representar poderes, vantagens, equipamentos e outros artefatos. Os campos
+ * de cada tipo são declarados em `contracto-data-models.js`.
  */
 export class ContractoItem extends Item {
   /**
-   * Define dados padrão dos itens. Itens de poder e vantagem podem
-   * armazenar descrições e efeitos numéricos que serão aplicados pela
-   * aplicação manual ou por macros futuras.
+   * Ataca com este equipamento, se for uma arma pertencente a um ator.
+   *
+   * @returns {Promise<object|null>} Resultado do ataque, ou null se cancelado
    */
-  prepareData() {
-    super.prepareData();
-    const data = this.system;
-    data.type = this.type;
-    data.name = this.name;
-    data.description = data.description || '';
-    if (this.type === 'power') {
-      data.activation = data.activation || 'ação';
-      data.cost = data.cost || 0;
-    }
-    if (this.type === 'advantage') {
-      data.bonus = data.bonus || '';
-    }
+  async rollAttack() {
+    if (!this.actor) return null;
+    return this.actor.rollAttack(this);
   }
 }
 
@@ -41,6 +32,69 @@ export class ContractoItemSheet extends ItemSheet {
 
   getData() {
     const data = super.getData();
+    data.system = this.item.system;
+    if (this.item.type === 'power') {
+      data.powerResources = Object.fromEntries(Object.entries(CONFIG.Contrato.powerResources)
+        .map(([key, cfg]) => [key, cfg.label]));
+      data.powerTargets = { self: 'CONTRATO.POWER.TARGET_SELF', targets: 'CONTRATO.POWER.TARGET_TARGETS' };
+      data.effects = this.item.effects.map(e => ({
+        id: e.id,
+        name: e.name,
+        img: e.img,
+        duration: e.duration.label
+      }));
+    }
+    if (this.item.type === 'equipment') {
+      data.equipmentSkills = Object.fromEntries(Object.entries(CONFIG.Contrato.skills)
+        .map(([key, cfg]) => [key, cfg.label]));
+      data.qualities = Object.fromEntries(Object.entries(CONFIG.Contrato.equipmentQualities)
+        .map(([key, cfg]) => [key, cfg.label]));
+      data.canAttack = this.item.system.isWeapon && !!this.item.actor?.isOwner;
+      data.properties = Object.entries(CONFIG.Contrato.weaponProperties).map(([key, label]) => ({
+        key,
+        label: game.i18n.localize(label),
+        checked: this.item.system.properties.has(key)
+      }));
+    }
+    return data;
+  }
+
+  /**
+   * Ouvintes do ataque com armas e da lista de efeitos ativos dos poderes:
+   * criar, editar e apagar.
+   */
+  activateListeners(html) {
+    super.activateListeners(html);
+    if (!this.isEditable) return;
+    html.find('.weapon-attack').click(() => this.item.rollAttack());
+    html.find('.effect-create').click(() => this.item.createEmbeddedDocuments('ActiveEffect', [{
+      name: this.item.name,
+      img: this.item.img,
+      origin: this.item.uuid,
+      transfer: false
+    }]));
+    html.find('.effect-edit').click(ev => {
+      const id = ev.currentTarget.closest('[data-effect-id]').dataset.effectId;
+      this.item.effects.get(id)?.sheet.render(true);
+    });
+    html.find('.effect-delete').click(ev => {
+      const id = ev.currentTarget.closest('[data-effect-id]').dataset.effectId;
+      this.item.effects.get(id)?.delete();
+    });
+  }
+
+  /**
+   * As propriedades de arma são caixas de seleção sem `name`; aqui elas são
+   * reunidas em uma lista para o SetField do modelo.
+   *
+   * @override
+   */
+  _getSubmitData(updateData) {
+    const data = super._getSubmitData(updateData);
+    if (this.item.type === 'equipment') {
+      data['system.properties'] = Array.from(this.form.querySelectorAll('.weapon-properties input[data-property]:checked'))
+        .map(input => input.dataset.property);
+    }
     return data;
   }
 }
\ No newline at end of file
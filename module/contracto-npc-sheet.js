@@ -0,0 +1,94 @@
+import { opposedRoll } from './contracto-contests.js';
+import { promptNpcRoll, rollMinions, selectedMinions } from './contracto-npc.js';
+
+/**
+ * Folha compacta de NPCs e criaturas, no formato de um bloco de estatísticas:
+ * ameaça, saúde, reserva opcional, paradas de perícia por categoria com as
+ * perícias que fogem da parada, ataques e anotações. Clicar em uma perícia
+ * pede só o modificador do Mestre; com Shift, rola sem modificador. Lacaios
+ * podem rolar em massa pelos tokens selecionados.
+ */
+export class ContractoNpcSheet extends ActorSheet {
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      classes: ['contrato', 'sheet', 'actor', 'npc'],
+      template: 'systems/contrato-de-sangue/templates/npc-sheet.hbs',
+      width: 520,
+      height: 560,
+      scrollY: ['.npc-body']
+    });
+  }
+
+  /**
+   * Agrupa as perícias por categoria, com a parada de cada uma e o valor
+   * efetivo de cada perícia.
+   */
+  getData() {
+    const data = super.getData();
+    const system = this.actor.system;
+    const categories = {};
+    for (const [key, cfg] of Object.entries(CONFIG.Contrato.skills)) {
+      categories[cfg.type] ??= {
+        type: cfg.type,
+        label: game.i18n.localize(`CONTRATO.SKILLS.TYPE.${cfg.type}`),
+        pool: system.pools[cfg.type],
+        list: []
+      };
+      categories[cfg.type].list.push({ key, label: game.i18n.localize(cfg.label), value: system.skills[key], effective: system.skillValue(key) });
+    }
+    for (const c of Object.values(categories)) c.list.sort((a, b) => a.label.localeCompare(b.label));
+    return {
+      ...data,
+      system,
+      categories,
+      skillOptions: Object.fromEntries(Object.entries(CONFIG.Contrato.skills).map(([key, cfg]) => [key, game.i18n.localize(cfg.label)])),
+      attacks: system.attacks.map((attack, index) => ({ ...attack, index })),
+      woundLabel: system.saude.wound.label ? game.i18n.localize(system.saude.wound.label) : null
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    if (!this.isEditable) return;
+    // Rolagem com o modificador do Mestre; Shift rola direto, sem modificador
+    html.find('.skill-roll').click(ev => {
+      const skill = ev.currentTarget.dataset.skill;
+      if (ev.shiftKey) this.actor.quickRoll(skill);
+      else this.actor.rollSkill(skill);
+    });
+    html.find('.skill-oppose').click(ev => opposedRoll(this.actor, ev.currentTarget.dataset.skill));
+    html.find('.skill-mass').click(ev => this.#rollSelected(ev.currentTarget.dataset.skill));
+    // Ataques
+    html.find('.attack-roll').click(ev => this.actor.rollAttack(Number(ev.currentTarget.closest('[data-index]').dataset.index)));
+    html.find('.attack-create').click(() => this.actor.update({
+      'system.attacks': [...this.actor.system.toObject().attacks, { name: game.i18n.localize('CONTRATO.NPC.NEW_ATTACK') }]
+    }));
+    html.find('.attack-delete').click(ev => {
+      const attacks = this.actor.system.toObject().attacks;
+      attacks.splice(Number(ev.currentTarget.closest('[data-index]').dataset.index), 1);
+      this.actor.update({ 'system.attacks': attacks });
+    });
+  }
+
+  /**
+   * Rola uma perícia para todos os tokens selecionados deste NPC, com um
+   * único modificador escolhido pelo Mestre.
+   *
+   * @param {string} skill Chave da perícia
+   * @returns {Promise<object|null>}
+   */
+  async #rollSelected(skill) {
+    const actors = selectedMinions(this.actor);
+    if (!actors.length) {
+      ui.notifications.warn(game.i18n.localize('CONTRATO.NPC.NO_MINIONS'));
+      return null;
+    }
+    const title = game.i18n.format('CONTRATO.NPC.MASS_ROLL_TITLE', {
+      skill: game.i18n.localize(CONFIG.Contrato.skills[skill].label),
+      count: actors.length
+    });
+    const choice = await promptNpcRoll(this.actor, skill, { title, allowReserve: false });
+    if (!choice) return null;
+    return rollMinions(actors, skill, choice);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Rolagens de NPCs. NPCs não escolhem entre Dado Sagrado e Umbral: o Mestre
+ * informa apenas o modificador, a dificuldade e, se o NPC tiver reserva, se
+ * um dado dela é gasto (valendo o d6 cheio). A rolagem passa pelo mesmo motor
+ * de `ContratoRoll`. Lacaios podem rolar em massa: cada token selecionado do
+ * mesmo ator rola e um único cartão resume os resultados.
+ */
+
+/**
+ * Pergunta ao Mestre o modificador, a dificuldade e o gasto da reserva de uma
+ * rolagem de NPC.
+ *
+ * @param {Actor} actor NPC
+ * @param {string} skill Chave da perícia
+ * @param {object} [options]
+ * @param {number} [options.difficulty] Dificuldade pré-selecionada
+ * @param {string} [options.title] Título do diálogo; por padrão, o nome da perícia
+ * @param {boolean} [options.allowReserve=true] Se o gasto da reserva é oferecido
+ * @returns {Promise<{modifier: number, difficulty: number|null, reserve: boolean}|null>} null se cancelado
+ */
+export async function promptNpcRoll(actor, skill, { difficulty, title, allowReserve = true } = {}) {
+  const difficulties = CONFIG.Contrato.difficulties
+    .map(d => `<option value="${d.value}" ${d.value === difficulty ? 'selected' : ''}>${game.i18n.localize(d.label)} (${d.value})</option>`)
+    .join('');
+  const reserve = actor.system.reservaDados;
+  const reserveField = allowReserve && reserve.enabled
+    ? `<div class="form-group">
+        <label>${game.i18n.format('CONTRATO.NPC.SPEND_RESERVE', { current: reserve.current })}</label>
+        <input type="checkbox" name="reserve" ${reserve.current > 0 ? '' : 'disabled'}/>
+      </div>`
+    : '';
+  return Dialog.prompt({
+    title: title ?? game.i18n.format('CONTRATO.ROLL.DIALOG.TITLE', { skill: game.i18n.localize(CONFIG.Contrato.skills[skill].label) }),
+    content: `
+      <div class="form-group">
+        <label>${game.i18n.localize('CONTRATO.NPC.MODIFIER')}:</label>
+        <input type="number" name="modifier" value="0" step="1" autofocus/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize('CONTRATO.DIFFICULTY.LABEL')}:</label>
+        <select name="difficulty">
+          <option value="">${game.i18n.localize('CONTRATO.DIFFICULTY.NONE')}</option>
+          ${difficulties}
+        </select>
+      </div>
+      ${reserveField}`,
+    label: game.i18n.localize('CONTRATO.CONTEST.ROLL'),
+    callback: html => {
+      const selected = html.find('[name="difficulty"]').val();
+      return {
+        modifier: Number(html.find('[name="modifier"]').val()) || 0,
+        difficulty: selected === '' ? null : Number(selected),
+        reserve: html.find('[name="reserve"]').is(':checked')
+      };
+    },
+    rejectClose: false
+  });
+}
+
+/**
+ * Atores dos tokens selecionados que são cópias de um NPC: tokens não
+ * vinculados criados a partir do mesmo ator (ou o próprio ator, se
+ * vinculado).
+ *
+ * @param {Actor} actor NPC base ou de token
+ * @returns {Actor[]}
+ */
+export function selectedMinions(actor) {
+  const baseId = actor.isToken ? actor.token.actorId : actor.id;
+  return (canvas.tokens?.controlled ?? [])
+    .filter(t => t.actor && t.document.actorId === baseId)
+    .map(t => t.actor);
+}
+
+/**
+ * Rola a mesma perícia para vários NPCs de uma vez, com o mesmo modificador e
+ * dificuldade, e resume os resultados em um cartão. As rolagens individuais
+ * não geram mensagens próprias.
+ *
+ * @param {Actor[]} actors NPCs que rolam
+ * @param {string} skill Chave da perícia
+ * @param {object} [options]
+ * @param {number} [options.modifier=0] Modificador escolhido pelo Mestre
+ * @param {number|null} [options.difficulty=null] Dificuldade alvo
+ * @returns {Promise<object|null>} Resumo da rolagem, ou null se não houver NPCs
+ */
+export async function rollMinions(actors, skill, { modifier = 0, difficulty = null } = {}) {
+  if (!actors.length) {
+    ui.notifications.warn(game.i18n.localize('CONTRATO.NPC.NO_MINIONS'));
+    return null;
+  }
+  const results = [];
+  for (const actor of actors) results.push(await actor.quickRoll(skill, { modifier, difficulty, chat: false }));
+  const participants = actors.map((a, i) => {
+    const outcome = results[i]?.outcome ?? null;
+    return {
+      name: a.token?.name ?? a.name,
+      total: results[i]?.total,
+      outcome,
+      success: outcome === 'success' || outcome === 'criticalSuccess'
+    };
+  });
+  const summary = {
+    skill: game.i18n.localize(CONFIG.Contrato.skills[skill].label),
+    modifier,
+    difficulty,
+    participants,
+    successes: participants.filter(p => p.success).length
+  };
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor: actors[0] }),
+    rolls: results.filter(Boolean).map(r => r.roll),
+    content: await renderTemplate('systems/contrato-de-sangue/templates/chat/minion-card.hbs', summary)
+  });
+  return summary;
+}
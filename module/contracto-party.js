@@ -0,0 +1,254 @@
+/**
+ * Painel do grupo: uma janela exclusiva do Mestre que resume, em uma linha
+ * por personagem de jogador, a balança entre Humanidade e Bestialidade, a
+ * reserva de dados, a penalidade de Mortalidade, a caça e os efeitos ativos.
+ * As ações em massa valem para os personagens marcados: restaurar a reserva,
+ * definir um modificador para a próxima rolagem e alterar a Mortalidade. O
+ * painel é redesenhado sempre que um desses atores muda.
+ */
+
+import { ContractoActor } from './contracto-actor.js';
+import { formatWorldTime, huntStatus } from './contracto-hunt.js';
+import { inFrenzy, isLostToBeast } from './contracto-beast.js';
+
+/**
+ * Ganchos que podem alterar o que o painel mostra. Os de efeitos e itens
+ * recebem o documento alterado, cujo `parent` é o ator; os de ator, o
+ * próprio ator. Itens contam porque vantagens mudam o máximo da reserva.
+ */
+const LIVE_HOOKS = [
+  'createActor', 'updateActor', 'deleteActor',
+  'createActiveEffect', 'updateActiveEffect', 'deleteActiveEffect',
+  'createItem', 'updateItem', 'deleteItem',
+  'updateWorldTime'
+];
+
+/**
+ * Personagens de jogadores mostrados no painel, em ordem alfabética.
+ *
+ * @returns {Actor[]}
+ */
+export function partyMembers() {
+  return game.actors
+    .filter(a => a.type === 'character' && a.hasPlayerOwner)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Define o modificador que será somado à próxima rolagem de perícia de cada
+ * personagem. Um valor 0 remove o modificador pendente.
+ *
+ * @param {Actor[]} actors Personagens
+ * @param {number} value Modificador
+ * @param {string} [reason] Motivo exibido no cartão da rolagem
+ * @returns {Promise<void>}
+ */
+export async function setNextRollModifier(actors, value, reason = '') {
+  for (const actor of actors) {
+    if (value) await actor.setFlag('contrato-de-sangue', 'nextRoll', { value, reason });
+    else await actor.unsetFlag('contrato-de-sangue', 'nextRoll');
+  }
+}
+
+/**
+ * Soma um valor à Mortalidade de cada personagem, sem descer abaixo de 0. A
+ * mudança entra no histórico de cada um por `_onUpdate`.
+ *
+ * @param {Actor[]} actors Personagens
+ * @param {number} amount Pontos a somar (negativo para reduzir)
+ * @returns {Promise<void>}
+ */
+export async function bumpMortalidade(actors, amount) {
+  for (const actor of actors) {
+    const value = Math.max(0, actor.system.attributes.mortalidade + amount);
+    if (value !== actor.system.attributes.mortalidade) await actor.update({ 'system.attributes.mortalidade': value });
+  }
+}
+
+/**
+ * Janela do painel do grupo. Só o Mestre pode abri-la; use
+ * `PartyOverviewApp.open()` para reaproveitar a janela já aberta.
+ */
+export class PartyOverviewApp extends Application {
+  /**
+   * Ids dos personagens desmarcados. Guardar os desmarcados faz com que
+   * personagens novos entrem marcados.
+   *
+   * @type {Set<string>}
+   */
+  #excluded = new Set();
+
+  /**
+   * Ids dos ouvintes registrados enquanto a janela está aberta.
+   *
+   * @type {Array<[string, number]>}
+   */
+  #hooks = [];
+
+  /** Janela aberta, se houver. */
+  static #instance = null;
+
+  /** Redesenho agrupado, para que ações em massa não redesenhem a cada ator. */
+  #refresh = foundry.utils.debounce(() => this.render(), 100);
+
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      id: 'contrato-party-overview',
+      classes: ['contrato', 'party-overview'],
+      template: 'systems/contrato-de-sangue/templates/party-overview.hbs',
+      title: game.i18n.localize('CONTRATO.PARTY.TITLE'),
+      width: 760,
+      height: 'auto',
+      resizable: true,
+      scrollY: ['.party-body']
+    });
+  }
+
+  /**
+   * Abre o painel, ou traz para frente o que já está aberto.
+   *
+   * @returns {PartyOverviewApp|null} null para quem não é Mestre
+   */
+  static open() {
+    if (!game.user.isGM) return null;
+    this.#instance ??= new this();
+    this.#instance.render(true);
+    return this.#instance;
+  }
+
+  getData() {
+    const members = partyMembers().map(actor => {
+      const system = actor.system;
+      const { humanidade, bestialidade, mortalidade } = system.attributes;
+      const hunt = huntStatus(actor);
+      const nextRoll = actor.getFlag('contrato-de-sangue', 'nextRoll') ?? null;
+      return {
+        id: actor.id,
+        name: actor.name,
+        img: actor.img,
+        selected: !this.#excluded.has(actor.id),
+        humanidade,
+        bestialidade,
+        humanPct: (humanidade / 12) * 100,
+        bestialPct: (bestialidade / 12) * 100,
+        beast: {
+          lost: isLostToBeast(actor),
+          frenzy: inFrenzy(actor),
+          near: bestialidade >= CONFIG.Contrato.beast.frenzyThreshold
+        },
+        reserve: system.reservaDados,
+        mortalidade,
+        penalty: system.mortalidade.penalty,
+        hunt: {
+          ...hunt,
+          frequency: game.i18n.localize(`CONTRATO.HUNT.FREQUENCY.${system.mortalidade.hunt}`),
+          dueLabel: hunt.dueAt !== null ? formatWorldTime(hunt.dueAt) : null
+        },
+        effects: actor.appliedEffects.map(e => ({ name: e.name, img: e.img })),
+        nextRoll
+      };
+    });
+    return {
+      members,
+      allSelected: members.length > 0 && members.every(m => m.selected)
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('.party-select').change(ev => {
+      const id = ev.currentTarget.closest('[data-actor-id]').dataset.actorId;
+      if (ev.currentTarget.checked) this.#excluded.delete(id);
+      else this.#excluded.add(id);
+      this.render();
+    });
+    html.find('.party-select-all').change(ev => {
+      this.#excluded = ev.currentTarget.checked ? new Set() : new Set(partyMembers().map(a => a.id));
+      this.render();
+    });
+    html.find('.party-open').click(ev => {
+      game.actors.get(ev.currentTarget.closest('[data-actor-id]').dataset.actorId)?.sheet.render(true);
+    });
+    html.find('.party-clear-roll').click(ev => {
+      const actor = game.actors.get(ev.currentTarget.closest('[data-actor-id]').dataset.actorId);
+      if (actor) setNextRollModifier([actor], 0);
+    });
+    html.find('[data-party-action]').click(ev => this.#bulkAction(ev.currentTarget.dataset.partyAction));
+  }
+
+  /**
+   * Executa uma ação em massa sobre os personagens marcados.
+   *
+   * @param {string} action 'refill', 'modifier' ou 'mortalidade'
+   * @returns {Promise<void>}
+   */
+  async #bulkAction(action) {
+    const actors = partyMembers().filter(a => !this.#excluded.has(a.id));
+    if (!actors.length) {
+      ui.notifications.warn(game.i18n.localize('CONTRATO.PARTY.NONE_SELECTED'));
+      return;
+    }
+    if (action === 'refill') {
+      await ContractoActor.refreshAllReserves(actors);
+    } else if (action === 'modifier') {
+      const choice = await Dialog.prompt({
+        title: game.i18n.localize('CONTRATO.PARTY.MODIFIER_TITLE'),
+        content: `
+          <div class="form-group">
+            <label>${game.i18n.localize('CONTRATO.NPC.MODIFIER')}:</label>
+            <input type="number" name="value" value="0" step="1" autofocus/>
+          </div>
+          <div class="form-group">
+            <label>${game.i18n.localize('CONTRATO.BEAST.REASON')}:</label>
+            <input type="text" name="reason"/>
+          </div>`,
+        label: game.i18n.localize('CONTRATO.BEAST.APPLY'),
+        callback: html => ({
+          value: Number(html.find('[name="value"]').val()) || 0,
+          reason: html.find('[name="reason"]').val().trim()
+        }),
+        rejectClose: false
+      });
+      if (choice) await setNextRollModifier(actors, choice.value, choice.reason);
+    } else if (action === 'mortalidade') {
+      const amount = await Dialog.prompt({
+        title: game.i18n.localize('CONTRATO.PARTY.MORTALIDADE_TITLE'),
+        content: `
+          <div class="form-group">
+            <label>${game.i18n.localize('CONTRATO.BEAST.AMOUNT')}:</label>
+            <input type="number" name="amount" value="1" step="1" autofocus/>
+          </div>`,
+        label: game.i18n.localize('CONTRATO.BEAST.APPLY'),
+        callback: html => Number(html.find('[name="amount"]').val()) || 0,
+        rejectClose: false
+      });
+      if (amount) await bumpMortalidade(actors, amount);
+    }
+  }
+
+  /**
+   * Redesenha o painel quando um personagem do grupo, ou um dos seus efeitos,
+   * muda. O avanço do tempo do mundo também redesenha, por causa da caça.
+   *
+   * @param {string} hook Nome do gancho
+   * @param {Document} [document] Documento alterado
+   */
+  #onChange(hook, document) {
+    if (hook === 'updateWorldTime') return this.#refresh();
+    const actor = document instanceof Actor ? document : document?.parent;
+    if (actor instanceof Actor && actor.type === 'character') this.#refresh();
+  }
+
+  async _render(force, options) {
+    await super._render(force, options);
+    if (this.#hooks.length) return;
+    this.#hooks = LIVE_HOOKS.map(hook => [hook, Hooks.on(hook, document => this.#onChange(hook, document))]);
+  }
+
+  async close(options) {
+    for (const [hook, id] of this.#hooks) Hooks.off(hook, id);
+    this.#hooks = [];
+    PartyOverviewApp.#instance = null;
+    return super.close(options);
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Uso de poderes. Ativar um poder paga o seu custo no recurso configurado
+ * (`CONFIG.Contrato.powerResources`), envia um cartão ao chat e aplica os
+ * efeitos ativos do item ao próprio ator ou aos tokens marcados. A duração
+ * desses efeitos é acompanhada por rodadas de combate e pelo tempo do mundo:
+ * quando ela termina, o Mestre ativo remove o efeito.
+ */
+
+import { emitSocket, onSocket } from './contracto-socket.js';
+
+/**
+ * Paga o custo de um poder. Recursos com `pay` próprio (como a reserva de
+ * dados) usam esse caminho; os demais são descontados do caminho `path` do
+ * ator, sem cair abaixo de `min`.
+ *
+ * @param {Actor} actor Ator que paga
+ * @param {string} resource Chave de CONFIG.Contrato.powerResources
+ * @param {number} cost Quantidade a pagar
+ * @returns {Promise<boolean>} Verdadeiro se o custo foi pago
+ */
+export async function payPowerCost(actor, resource, cost) {
+  if (!cost) return true;
+  const config = CONFIG.Contrato.powerResources[resource];
+  if (!config) return false;
+  if (config.pay) return (await config.pay(actor, cost)) !== false;
+  const value = Number(foundry.utils.getProperty(actor, config.path) ?? 0);
+  if (value - cost < (config.min ?? 0)) {
+    ui.notifications.warn(game.i18n.format('CONTRATO.POWER.CANNOT_PAY', {
+      name: actor.name,
+      cost,
+      resource: game.i18n.localize(config.label)
+    }));
+    return false;
+  }
+  await actor.update({ [config.path]: value - cost }, { contratoRule: true });
+  return true;
+}
+
+/**
+ * Prepara os dados dos efeitos de um poder para aplicação: marca a origem, o
+ * início da duração (rodada atual e tempo do mundo) e a flag que permite
+ * expirá-los depois.
+ *
+ * @param {Item} item Poder usado
+ * @returns {object[]}
+ */
+function effectsToApply(item) {
+  const combat = game.combat;
+  return item.effects.filter(e => !e.transfer).map(effect => {
+    const data = effect.toObject();
+    delete data._id;
+    data.origin = item.uuid;
+    data.disabled = false;
+    data.transfer = false;
+    data.duration = {
+      ...data.duration,
+      startTime: game.time.worldTime,
+      combat: combat?.id ?? null,
+      startRound: combat?.round ?? null,
+      startTurn: combat?.turn ?? null
+    };
+    foundry.utils.setProperty(data, 'flags.contrato-de-sangue.power', true);
+    return data;
+  });
+}
+
+/**
+ * Aplica os efeitos de um poder aos alvos. Os alvos que o usuário não pode
+ * alterar são repassados ao Mestre ativo pelo socket, que recebe apenas o
+ * poder e os alvos e reconstrói os efeitos a partir do item.
+ *
+ * @param {Item} item Poder usado
+ * @param {Actor[]} targets Atores que recebem os efeitos
+ * @param {object[]} effects Dados dos efeitos, de `effectsToApply`
+ * @returns {Promise<void>}
+ */
+async function applyPowerEffects(item, targets, effects) {
+  if (!effects.length) return;
+  const remote = [];
+  for (const target of targets) {
+    if (target.isOwner) await target.createEmbeddedDocuments('ActiveEffect', effects);
+    else remote.push(target);
+  }
+  if (!remote.length) return;
+  const gm = game.users.activeGM;
+  if (!gm) {
+    for (const target of remote) ui.notifications.warn(game.i18n.format('CONTRATO.POWER.NO_GM', { name: target.name }));
+    return;
+  }
+  emitSocket('applyEffects', { userId: gm.id, itemUuid: item.uuid, targetUuids: remote.map(t => t.uuid) });
+}
+
+/**
+ * Usa um poder. O custo é pago primeiro; se não puder ser pago, a ativação é
+ * bloqueada com um aviso. Em seguida o cartão é enviado ao chat e os efeitos
+ * do item são aplicados ao usuário ou aos alvos, conforme `system.target`.
+ *
+ * @param {Actor} actor Ator que usa o poder
+ * @param {Item} item Item do tipo power
+ * @returns {Promise<boolean>} Verdadeiro se o poder foi ativado
+ */
+export async function usePower(actor, item) {
+  const { cost, costResource, target, activation } = item.system;
+  const targets = target === 'targets'
+    ? Array.from(game.user.targets).map(t => t.actor).filter(Boolean)
+    : [actor];
+  if (target === 'targets' && !targets.length && item.effects.size) {
+    ui.notifications.warn(game.i18n.localize('CONTRATO.POWER.NO_TARGETS'));
+    return false;
+  }
+  if (!(await payPowerCost(actor, costResource, cost))) return false;
+
+  const effects = effectsToApply(item);
+  await applyPowerEffects(item, targets, effects);
+
+  const resource = CONFIG.Contrato.powerResources[costResource];
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: await renderTemplate('systems/contrato-de-sangue/templates/chat/power-card.hbs', {
+      name: item.name,
+      img: item.img,
+      activation,
+      cost,
+      resource: resource ? game.i18n.localize(resource.label) : costResource,
+      description: await TextEditor.enrichHTML(item.system.description, { async: true }),
+      effects: effects.map(e => e.name),
+      targets: effects.length ? targets.map(t => t.name) : []
+    })
+  });
+  await actor.recordHistory({ type: 'power', item: item.name, cost, resource: costResource });
+  return true;
+}
+
+/**
+ * Remove os efeitos de poder (e demais efeitos com a flag `expires`, como o
+ * frenesi) cuja duração terminou. Executado apenas pelo Mestre ativo, a cada
+ * mudança de rodada ou de tempo do mundo.
+ *
+ * @returns {Promise<void>}
+ */
+export async function expirePowerEffects() {
+  if (!game.users.activeGM?.isSelf) return;
+  // Atores do mundo e atores sintéticos dos tokens não vinculados da cena
+  const tokenActors = canvas.tokens?.placeables.map(t => t.actor).filter(a => a?.isToken) ?? [];
+  for (const actor of [...game.actors, ...tokenActors]) {
+    const expired = actor.effects.filter(effect => {
+      if (!effect.getFlag('contrato-de-sangue', 'power') && !effect.getFlag('contrato-de-sangue', 'expires')) return false;
+      effect.updateDuration();
+      const { type, remaining } = effect.duration;
+      return type !== 'none' && remaining !== null && remaining <= 0;
+    });
+    if (expired.length) await actor.deleteEmbeddedDocuments('ActiveEffect', expired.map(e => e.id));
+  }
+}
+
+/**
+ * Registra o tratador de socket que aplica efeitos em nome de jogadores.
+ * O pedido só é atendido se quem o enviou for dono do ator que tem o poder;
+ * poderes pessoais só alcançam o próprio ator. Os efeitos são reconstruídos
+ * a partir do item, nunca copiados da mensagem. Chamado no hook `ready`.
+ */
+export function registerPowerSocket() {
+  onSocket('applyEffects', async (data, senderId) => {
+    if (data.userId !== game.user.id) return;
+    const item = await fromUuid(data.itemUuid);
+    const sender = game.users.get(senderId);
+    if (item?.type !== 'power' || !item.actor || !sender) return;
+    if (!item.actor.testUserPermission(sender, 'OWNER')) return;
+    const effects = effectsToApply(item);
+    for (const uuid of data.targetUuids ?? []) {
+      if (item.system.target !== 'targets' && uuid !== item.actor.uuid) continue;
+      const target = await fromUuid(uuid);
+      if (target && effects.length) await target.createEmbeddedDocuments('ActiveEffect', effects);
+    }
+  });
+}
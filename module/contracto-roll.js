@@ -0,0 +1,296 @@
+import { availableSacredReroll, skillRollBonuses } from './contracto-advantages.js';
+import { encumbrancePenalty } from './contracto-inventory.js';
+import { OUTCOMES, classifyOutcome, reserveDieValue } from './contracto-rules.js';
+
+/**
+ * Rolagem de perícia do sistema Contrato de Sangue. Reúne em uma única fórmula
+ * o 1d12 base, o valor da perícia, os dados gastos da reserva (Sagrado, que
+ * vale metade arredondada para cima, ou Umbral, que vale o d6 cheio), o
+ * modificador situacional e as penalidades de Mortalidade, ferimentos e carga. Os parâmetros da
+ * rolagem ficam em `options` e são serializados com a mensagem, de modo que o
+ * cartão de chat e seus botões continuam funcionando após recarregar o mundo.
+ */
+export class ContratoRoll extends Roll {
+  /** Template do cartão de chat. */
+  static CHAT_TEMPLATE = 'systems/contrato-de-sangue/templates/chat/roll-card.hbs';
+
+  /**
+   * Cria a rolagem de perícia de um ator.
+   *
+   * @param {Actor} actor Ator que rola
+   * @param {string} skill Chave da perícia (CONFIG.Contrato.skills)
+   * @param {object} [options]
+   * @param {boolean} [options.umbral=false] Se o dado gasto é Umbral
+   * @param {boolean} [options.reserve=true] Se um dado da reserva é gasto; NPCs podem rolar sem ele
+   * @param {number} [options.modifier=0] Modificador situacional
+   * @param {string|null} [options.equipment=null] Equipamento que forneceu o modificador
+   * @param {number|null} [options.difficulty=null] Dificuldade alvo
+   * @param {{value: number, reason: string}|null} [options.gmModifier=null] Modificador definido pelo Mestre para a próxima rolagem
+   * @returns {ContratoRoll}
+   */
+  static fromSkill(actor, skill, { umbral = false, reserve = true, modifier = 0, equipment = null, difficulty = null, gmModifier = null } = {}) {
+    const options = {
+      actorUuid: actor.uuid,
+      skill,
+      skillValue: Number(actor.system.skillValue(skill)),
+      dice: reserve ? [umbral ? 'umbral' : 'sagrado'] : [],
+      modifier: Number(modifier) || 0,
+      equipment,
+      gmModifier: gmModifier?.value ? { value: Number(gmModifier.value), reason: gmModifier.reason ?? '' } : null,
+      penalty: actor.system.mortalidade?.penalty ?? 0,
+      wounds: actor.system.saude?.wound?.penalty ?? 0,
+      encumbrance: encumbrancePenalty(actor, skill),
+      advantages: skillRollBonuses(actor, skill),
+      difficulty: Number.isFinite(difficulty) ? difficulty : null
+    };
+    return new this(this.buildFormula(options), {}, options);
+  }
+
+  /**
+   * Monta a fórmula a partir das opções da rolagem.
+   *
+   * @param {object} options Opções serializadas da rolagem
+   * @returns {string}
+   */
+  static buildFormula({ skillValue = 0, dice = [], modifier = 0, gmModifier = null, penalty = 0, wounds = 0, encumbrance = 0, advantages = [] }) {
+    const parts = ['1d12[base]', `+ ${skillValue}`];
+    for (const kind of dice) parts.push(`+ ${this.reserveDieFormula(kind)}`);
+    const advantage = advantages.reduce((total, a) => total + a.value, 0);
+    if (advantage) parts.push(advantage > 0 ? `+ ${advantage}` : `- ${Math.abs(advantage)}`);
+    if (modifier) parts.push(modifier > 0 ? `+ ${modifier}` : `- ${Math.abs(modifier)}`);
+    if (gmModifier) parts.push(gmModifier.value > 0 ? `+ ${gmModifier.value}` : `- ${Math.abs(gmModifier.value)}`);
+    if (penalty) parts.push(`- ${penalty}`);
+    if (wounds) parts.push(`- ${wounds}`);
+    if (encumbrance) parts.push(`- ${encumbrance}`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Fórmula de um dado da reserva.
+   *
+   * @param {string} kind 'sagrado' ou 'umbral'
+   * @returns {string}
+   */
+  static reserveDieFormula(kind) {
+    return kind === 'umbral' ? '1d6[umbral]' : 'ceil(1d6[sagrado] / 2)';
+  }
+
+  /**
+   * Classifica um total contra uma dificuldade, conforme
+   * `CONFIG.Contrato.outcomes`. Veja `classifyOutcome`.
+   *
+   * @param {number} total Total da rolagem
+   * @param {number} difficulty Dificuldade alvo
+   * @param {number} natural Resultado natural do d12
+   * @returns {{outcome: string, margin: number, difficulty: number, natural: number}}
+   */
+  static classify(total, difficulty, natural) {
+    return classifyOutcome(total, difficulty, natural, CONFIG.Contrato.outcomes);
+  }
+
+  /** Graus de sucesso, do pior ao melhor. */
+  static OUTCOMES = OUTCOMES;
+
+  /**
+   * Resultado natural do d12 base.
+   *
+   * @type {number}
+   */
+  get natural() {
+    return this.dice.find(d => d.faces === 12)?.total ?? 0;
+  }
+
+  /**
+   * Grau de sucesso da rolagem contra a dificuldade salva nas opções.
+   *
+   * @returns {{outcome: string, margin: number, difficulty: number, natural: number}|null}
+   *   null se a rolagem não tiver dificuldade
+   */
+  getOutcome() {
+    if (!this._evaluated || !Number.isFinite(this.options.difficulty)) return null;
+    return this.constructor.classify(this.total, this.options.difficulty, this.natural);
+  }
+
+  /**
+   * O ator que realizou a rolagem, se ainda existir.
+   *
+   * @type {Actor|null}
+   */
+  get actor() {
+    return this.options.actorUuid ? fromUuidSync(this.options.actorUuid) : null;
+  }
+
+  /**
+   * Decompõe o total nas suas parcelas para exibição no cartão.
+   *
+   * @returns {object}
+   */
+  getBreakdown() {
+    const d6s = this.dice.filter(d => d.faces === 6);
+    const discarded = this.options.discarded ?? [];
+    const reserve = (this.options.dice ?? []).map((kind, i) => {
+      const raw = d6s[i]?.total ?? 0;
+      return {
+        kind,
+        label: game.i18n.localize(`CONTRATO.ROLL.BUTTON.${kind.toUpperCase()}`),
+        raw,
+        value: reserveDieValue(kind, raw),
+        discarded: discarded.includes(i)
+      };
+    });
+    return {
+      base: this.natural,
+      skillValue: this.options.skillValue ?? 0,
+      reserve,
+      advantages: this.options.advantages ?? [],
+      rerolledBy: this.options.rerolledBy ?? null,
+      modifier: this.options.modifier ?? 0,
+      equipment: this.options.equipment ?? null,
+      gmModifier: this.options.gmModifier ?? null,
+      penalty: this.options.penalty ?? 0,
+      wounds: this.options.wounds ?? 0,
+      encumbrance: this.options.encumbrance ?? 0
+    };
+  }
+
+  /**
+   * Adiciona à rolagem já avaliada mais um dado da reserva. Apenas o novo
+   * dado é rolado; os resultados anteriores são preservados.
+   *
+   * @param {string} kind 'sagrado' ou 'umbral'
+   * @returns {Promise<ContratoRoll>} Uma nova rolagem com o dado adicional
+   */
+  addReserveDie(kind) {
+    return this.#appendRoll(this.constructor.reserveDieFormula(kind), {
+      dice: [...(this.options.dice ?? []), kind]
+    });
+  }
+
+  /**
+   * Rerrola um dado da reserva já lançado. O dado antigo fica marcado como
+   * descartado e o seu valor é subtraído, de modo que a fórmula continua
+   * mostrando todos os dados efetivamente rolados.
+   *
+   * @param {number} index Posição do dado em `options.dice`
+   * @param {string} [source] Nome da vantagem que concedeu a rerrolagem
+   * @returns {Promise<ContratoRoll>} Uma nova rolagem com o dado substituído
+   */
+  rerollReserveDie(index, source) {
+    const die = this.getBreakdown().reserve[index];
+    return this.#appendRoll(`${this.constructor.reserveDieFormula(die.kind)} - ${die.value}`, {
+      dice: [...this.options.dice, die.kind],
+      discarded: [...(this.options.discarded ?? []), index],
+      rerolledBy: source ?? null
+    });
+  }
+
+  /**
+   * Avalia uma fórmula adicional e a soma a esta rolagem, preservando os
+   * resultados já obtidos.
+   *
+   * @param {string} formula Fórmula a acrescentar
+   * @param {object} options Opções da rolagem a atualizar
+   * @returns {Promise<ContratoRoll>}
+   */
+  async #appendRoll(formula, options) {
+    const extra = await new Roll(formula).evaluate();
+    if (game.dice3d) await game.dice3d.showForRoll(extra, game.user, true);
+    const data = this.toJSON();
+    return this.constructor.fromData({
+      ...data,
+      formula: `${this.formula} + ${extra.formula}`,
+      terms: [
+        ...data.terms,
+        { class: 'OperatorTerm', options: {}, evaluated: true, operator: '+' },
+        ...extra.toJSON().terms
+      ],
+      total: this.total + extra.total,
+      options: { ...this.options, ...options }
+    });
+  }
+
+  /** @override */
+  async render({ flavor, template = this.constructor.CHAT_TEMPLATE, isPrivate = false } = {}) {
+    if (!this._evaluated) await this.evaluate();
+    const skill = CONFIG.Contrato.skills[this.options.skill];
+    const context = {
+      title: game.i18n.format('CONTRATO.ROLL.DIALOG.TITLE', { skill: skill ? game.i18n.localize(skill.label) : this.options.skill }),
+      flavor: isPrivate ? null : flavor,
+      formula: isPrivate ? '???' : this.formula,
+      tooltip: isPrivate ? '' : await this.getTooltip(),
+      total: isPrivate ? '?' : Math.round(this.total * 100) / 100,
+      breakdown: isPrivate ? null : this.getBreakdown(),
+      outcome: isPrivate ? null : this.getOutcome(),
+      isPrivate
+    };
+    return renderTemplate(template, context);
+  }
+
+  /**
+   * Aplica o resultado final da rolagem, já com os dados extras e a
+   * rerrolagem: encerra o cartão (os botões dão lugar ao resultado), registra
+   * o total e o grau de sucesso no histórico do ator e emite
+   * `contrato.rollApplied` para que módulos e macros reajam ao resultado.
+   *
+   * @param {ChatMessage} message Mensagem do cartão
+   * @returns {Promise<void>}
+   */
+  async applyResult(message) {
+    const actor = this.actor;
+    const outcome = this.getOutcome();
+    await message.setFlag('contrato-de-sangue', 'applied', true);
+    await actor.recordHistory({
+      type: 'roll',
+      applied: true,
+      skill: this.options.skill,
+      total: this.total,
+      difficulty: outcome?.difficulty ?? null,
+      outcome: outcome?.outcome ?? null
+    });
+    Hooks.callAll('contrato.rollApplied', actor, this, outcome);
+  }
+
+  /**
+   * Ativa os botões do cartão de rolagem. Registrado no hook
+   * `renderChatMessage`. Os botões só aparecem para quem controla o ator e,
+   * depois que o resultado é aplicado, dão lugar ao total final.
+   *
+   * @param {ChatMessage} message Mensagem renderizada
+   * @param {jQuery} html HTML da mensagem
+   */
+  static activateChatListeners(message, html) {
+    const roll = message.rolls?.[0];
+    const buttons = html.find('.contrato-roll-card .card-buttons');
+    if (!buttons.length || !(roll instanceof ContratoRoll)) return;
+    const actor = roll.actor;
+    if (message.getFlag('contrato-de-sangue', 'applied')) {
+      buttons.replaceWith(`<p class="applied">${game.i18n.format('CONTRATO.ROLL.CARD.APPLIED', { total: roll.total })}</p>`);
+      return;
+    }
+    if (!actor?.isOwner) {
+      buttons.remove();
+      return;
+    }
+    // Rerrolagem do Dado Sagrado concedida por vantagem, uma vez por período
+    const reroll = availableSacredReroll(actor);
+    const sacredIndex = roll.getBreakdown().reserve.findIndex(d => d.kind === 'sagrado' && !d.discarded);
+    if (!reroll || sacredIndex < 0) buttons.find('[data-action="reroll"]').remove();
+    const kinds = actor.reserveDiceKinds;
+    buttons.find('[data-action="spend"]').filter((i, button) => !kinds.includes(button.dataset.kind)).remove();
+    buttons.find('[data-action]').click(async ev => {
+      ev.preventDefault();
+      const action = ev.currentTarget.dataset.action;
+      if (action === 'apply') return roll.applyResult(message);
+      if (action === 'reroll') {
+        await actor.useReroll(reroll.itemId);
+        const updated = await roll.rerollReserveDie(sacredIndex, reroll.source);
+        return message.update({ rolls: [JSON.stringify(updated)], content: String(updated.total) });
+      }
+      const kind = ev.currentTarget.dataset.kind;
+      if ((await actor.spendReserve(1, 'roll', { chat: false })) === false) return;
+      if (kind === 'umbral') await actor.applyUmbralDie();
+      const updated = await roll.addReserveDie(kind);
+      await message.update({ rolls: [JSON.stringify(updated)], content: String(updated.total) });
+    });
+  }
+}
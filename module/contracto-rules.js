@@ -0,0 +1,238 @@
+/**
+ * Regras puras do sistema Contrato de Sangue: a balança entre Humanidade e
+ * Bestialidade, o máximo da reserva, as faixas de Mortalidade e de
+ * ferimento, o valor dos dados da reserva, os graus de sucesso, os limiares
+ * acompanhados e a aritmética dos prazos de caça. Nada aqui consulta o
+ * Foundry: a configuração necessária chega pelos parâmetros, de modo que as
+ * funções podem ser importadas e testadas fora dele.
+ */
+
+/** Soma fixa entre Humanidade e Bestialidade. */
+export const BALANCE_TOTAL = 12;
+
+/** Limites de Humanidade e Bestialidade. */
+export const BALANCE_MIN = 1;
+export const BALANCE_MAX = 11;
+
+/** Limite máximo de pontos em uma perícia. */
+export const SKILL_MAX = 10;
+
+/**
+ * Faixas de Mortalidade: a partir de `min`, a penalidade nas rolagens e a
+ * frequência de caça exigida.
+ */
+const MORTALITY_LEVELS = [
+  { min: 12, penalty: 4, hunt: 'constant' },
+  { min: 9, penalty: 3, hunt: 'daily' },
+  { min: 6, penalty: 2, hunt: 'twice-weekly' },
+  { min: 3, penalty: 1, hunt: 'weekly' }
+];
+
+/**
+ * Níveis de cada limiar acompanhado, em ordem crescente. A ordem define a
+ * direção (`up` ou `down`) de um cruzamento.
+ */
+export const THRESHOLD_LEVELS = {
+  mortalidade: ['none', 'weekly', 'twice-weekly', 'daily', 'constant'],
+  humanidade: ['normal', 'extreme'],
+  bestialidade: ['normal', 'extreme', 'lost']
+};
+
+/** Graus de sucesso, do pior ao melhor. */
+export const OUTCOMES = ['criticalFailure', 'failure', 'success', 'criticalSuccess'];
+
+/**
+ * Limita um valor ao intervalo informado.
+ *
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Completa o par Humanidade/Bestialidade de uma alteração para manter a soma
+ * 12. Quando apenas um dos dois muda, o outro é o complemento; se ambos
+ * mudarem de forma inconsistente, a Humanidade prevalece.
+ *
+ * @param {{humanidade?: number|string, bestialidade?: number|string}} changed Atributos alterados
+ * @param {{humanidade: number, bestialidade: number}} source Atributos atuais
+ * @returns {{humanidade: number, bestialidade: number}|null} O par completo, ou null se nenhum mudou
+ */
+export function completeBalance(changed, source) {
+  const human = changed.humanidade !== undefined ? Number(changed.humanidade) : undefined;
+  const bestial = changed.bestialidade !== undefined ? Number(changed.bestialidade) : undefined;
+  if (human !== undefined && human !== source.humanidade) return { humanidade: human, bestialidade: BALANCE_TOTAL - human };
+  if (bestial !== undefined && bestial !== source.bestialidade) return { humanidade: BALANCE_TOTAL - bestial, bestialidade: bestial };
+  return null;
+}
+
+/**
+ * Nova Bestialidade depois de uma variação, dentro dos limites da balança.
+ * Um Dado Umbral soma 1; caças perdidas e a redenção também passam por aqui.
+ *
+ * @param {number} bestialidade Bestialidade atual
+ * @param {number} delta Variação (negativa para reduzir)
+ * @returns {number}
+ */
+export function shiftBalance(bestialidade, delta) {
+  return clamp(bestialidade + delta, BALANCE_MIN, BALANCE_MAX);
+}
+
+/**
+ * Máximo da reserva de dados: Bestialidade + 1, mais os bônus de vantagens.
+ *
+ * @param {number} bestialidade
+ * @param {number} [bonus=0] Bônus das vantagens
+ * @returns {number}
+ */
+export function reserveMax(bestialidade, bonus = 0) {
+  return bestialidade + 1 + bonus;
+}
+
+/**
+ * Penalidade e frequência de caça de um valor de Mortalidade.
+ *
+ * @param {number} mortalidade
+ * @returns {{penalty: number, hunt: string}}
+ */
+export function mortalityLevel(mortalidade) {
+  const level = MORTALITY_LEVELS.find(l => mortalidade >= l.min);
+  return level ? { penalty: level.penalty, hunt: level.hunt } : { penalty: 0, hunt: 'none' };
+}
+
+/**
+ * Determina o nível de ferimento a partir da saúde atual. Os níveis são
+ * ordenados pela fração de saúde perdida; vale o último cujo limiar foi
+ * atingido.
+ *
+ * @param {number} value Saúde atual
+ * @param {number} max Saúde máxima
+ * @param {{key: string, threshold: number, penalty: number, label: string}[]} wounds Níveis de `CONFIG.Contrato.wounds`
+ * @returns {{key: string, label: string|null, penalty: number}}
+ */
+export function woundLevel(value, max, wounds) {
+  const lost = max > 0 ? (max - value) / max : 1;
+  let level = null;
+  for (const wound of wounds) {
+    if (lost >= wound.threshold) level = wound;
+  }
+  return level
+    ? { key: level.key, label: level.label, penalty: level.penalty }
+    : { key: 'none', label: null, penalty: 0 };
+}
+
+/**
+ * Valor de um dado da reserva: o Dado Sagrado vale metade do d6, arredondada
+ * para cima; o Dado Umbral vale o d6 cheio.
+ *
+ * @param {string} kind 'sagrado' ou 'umbral'
+ * @param {number} raw Resultado do d6
+ * @returns {number}
+ */
+export function reserveDieValue(kind, raw) {
+  return kind === 'umbral' ? raw : Math.ceil(raw / 2);
+}
+
+/**
+ * Classifica um total contra uma dificuldade. A margem define sucesso
+ * (total >= dificuldade) e os críticos; um 12 natural no d12 melhora o
+ * resultado em um grau e um 1 natural o piora, se `naturalShift` estiver
+ * ativo.
+ *
+ * @param {number} total Total da rolagem
+ * @param {number} difficulty Dificuldade alvo
+ * @param {number} natural Resultado natural do d12
+ * @param {{criticalSuccessMargin: number, criticalFailureMargin: number, naturalShift: boolean}} outcomes `CONFIG.Contrato.outcomes`
+ * @returns {{outcome: string, margin: number, difficulty: number, natural: number}}
+ */
+export function classifyOutcome(total, difficulty, natural, { criticalSuccessMargin, criticalFailureMargin, naturalShift }) {
+  const margin = total - difficulty;
+  let degree;
+  if (margin >= criticalSuccessMargin) degree = 3;
+  else if (margin >= 0) degree = 2;
+  else if (margin <= -criticalFailureMargin) degree = 0;
+  else degree = 1;
+  if (naturalShift && natural === 12) degree = Math.min(3, degree + 1);
+  else if (naturalShift && natural === 1) degree = Math.max(0, degree - 1);
+  return { outcome: OUTCOMES[degree], margin, difficulty, natural };
+}
+
+/**
+ * Nível atual de cada limiar acompanhado: a faixa de caça da Mortalidade, se
+ * Humanidade e Bestialidade estão nos extremos da balança e se a
+ * Bestialidade chegou ao ponto em que o personagem é perdido para a Besta.
+ *
+ * @param {{humanidade: number, bestialidade: number, mortalidade: number}} attributes
+ * @param {object} config
+ * @param {{humanidade: number, bestialidade: number}} config.extremes `CONFIG.Contrato.balanceExtremes`
+ * @param {number} config.lostThreshold `CONFIG.Contrato.beast.lostThreshold`
+ * @returns {Record<string, string>}
+ */
+export function thresholdLevels(attributes, { extremes, lostThreshold }) {
+  let bestialidade = 'normal';
+  if (attributes.bestialidade >= lostThreshold) bestialidade = 'lost';
+  else if (attributes.bestialidade >= extremes.bestialidade) bestialidade = 'extreme';
+  return {
+    mortalidade: mortalityLevel(attributes.mortalidade).hunt,
+    humanidade: attributes.humanidade >= extremes.humanidade ? 'extreme' : 'normal',
+    bestialidade
+  };
+}
+
+/**
+ * Limiares cruzados entre dois conjuntos de níveis, na ordem de
+ * `THRESHOLD_LEVELS`.
+ *
+ * @param {Record<string, string>} before Níveis antes da alteração
+ * @param {Record<string, string>} after Níveis depois da alteração
+ * @returns {{threshold: string, from: string, to: string, direction: string}[]}
+ */
+export function thresholdCrossings(before, after) {
+  const crossings = [];
+  for (const [threshold, levels] of Object.entries(THRESHOLD_LEVELS)) {
+    const from = before[threshold];
+    const to = after[threshold];
+    if (from === to) continue;
+    crossings.push({ threshold, from, to, direction: levels.indexOf(to) > levels.indexOf(from) ? 'up' : 'down' });
+  }
+  return crossings;
+}
+
+/**
+ * Soma a um instante um intervalo no formato do Simple Calendar, contando
+ * apenas dias e horas, com dias de `secondsPerDay` segundos. Usado quando o
+ * calendário não está disponível.
+ *
+ * @param {number} time Instante em segundos
+ * @param {{day?: number, hour?: number}} interval
+ * @param {number} secondsPerDay
+ * @returns {number}
+ */
+export function addInterval(time, interval, secondsPerDay) {
+  return time + ((interval.day ?? 0) * secondsPerDay) + ((interval.hour ?? 0) * secondsPerDay / 24);
+}
+
+/**
+ * Conta as caças perdidas entre um prazo vencido e agora, avançando o prazo
+ * um intervalo por caça perdida. Se o limite for atingido antes de alcançar
+ * o presente, o novo prazo passa a contar de agora.
+ *
+ * @param {number|null} dueAt Prazo vencido
+ * @param {number} now Instante atual
+ * @param {function(number): number|null} next Prazo seguinte a um instante
+ * @param {number} limit Máximo de caças contadas de uma vez
+ * @returns {{count: number, dueAt: number|null}}
+ */
+export function missedHunts(dueAt, now, next, limit) {
+  let count = 0;
+  while (dueAt !== null && now >= dueAt && count < limit) {
+    dueAt = next(dueAt);
+    count++;
+  }
+  if (dueAt !== null && now >= dueAt) dueAt = next(now);
+  return { count, dueAt };
+}
@@ -0,0 +1,45 @@
+/**
+ * Canal de socket do sistema. Os módulos registram tratadores por ação com
+ * `onSocket` e enviam mensagens com `emitSocket`; um único ouvinte,
+ * registrado no hook `ready`, despacha cada mensagem ao tratador da sua ação.
+ */
+
+/** Tratadores registrados, por ação. */
+const handlers = new Map();
+
+/**
+ * Nome do canal de socket do sistema.
+ *
+ * @returns {string}
+ */
+function socketName() {
+  return `system.${game.system.id}`;
+}
+
+/**
+ * Registra o tratador de uma ação.
+ *
+ * @param {string} action Nome da ação
+ * @param {function(object, string): *} handler Recebe os dados da mensagem e o id do usuário que a enviou
+ */
+export function onSocket(action, handler) {
+  handlers.set(action, handler);
+}
+
+/**
+ * Envia uma mensagem aos demais clientes. A própria mensagem não é entregue
+ * ao cliente que a envia.
+ *
+ * @param {string} action Nome da ação
+ * @param {object} payload Dados da mensagem
+ */
+export function emitSocket(action, payload) {
+  game.socket.emit(socketName(), { action, ...payload });
+}
+
+/**
+ * Escuta o canal do sistema. Chamado uma vez no hook `ready`.
+ */
+export function registerSocket() {
+  game.socket.on(socketName(), (data, senderId) => handlers.get(data.action)?.(data, senderId));
+}
@@ -11,68 +11,65 @@
  * brasileiro e inglês também são incluídas.
  */
 
+import { CONTRATO } from './contracto-config.js';
 import { ContractoActor } from './contracto-actor.js';
 import { ContractoCharacterSheet } from './contracto-character-sheet.js';
+import { ContractoNpcSheet } from './contracto-npc-sheet.js';
+import { rollMinions } from './contracto-npc.js';
 import { ContractoItem, ContractoItemSheet } from './contracto-item.js';
+import { ContratoRoll } from './contracto-roll.js';
+import { opposedRoll, groupRoll, registerContestSocket } from './contracto-contests.js';
+import { ContractoCombatant, activateDamageListeners } from './contracto-combat.js';
+import { registerSocket } from './contracto-socket.js';
+import { expirePowerEffects, registerPowerSocket } from './contracto-powers.js';
+import { checkHunts, recordFeeding } from './contracto-hunt.js';
+import { adjustBalance, reconcileBeast, registerBeast } from './contracto-beast.js';
+import { exportHistory, registerHistory } from './contracto-history.js';
+import { PartyOverviewApp } from './contracto-party.js';
+import {
+  ContractoCharacterData,
+  ContractoNpcData,
+  ContractoPowerData,
+  ContractoAdvantageData,
+  ContractoEquipmentData
+} from './contracto-data-models.js';
 
 // CONFIG and game namespace definitions
 Hooks.once('init', async function() {
   console.log('Contrato de Sangue | Inicializando o sistema');
 
-  /**
-   * Definições de configuração. Define listas de perícias e outras opções
-   * consultadas em diversos locais do sistema. A estrutura é simples para
-   * permitir futuras expansões (como vantagens, poderes e equipamentos).
-   */
-  CONFIG.Contrato = {
-    skills: {
-      atletismo: { label: game.i18n.localize('CONTRATO.SKILLS.ATLETISMO'), type: 'physical' },
-      briga: { label: game.i18n.localize('CONTRATO.SKILLS.BRIGA'), type: 'physical' },
-      conducao: { label: game.i18n.localize('CONTRATO.SKILLS.CONDUTCAO'), type: 'physical' },
-      furtividade: { label: game.i18n.localize('CONTRATO.SKILLS.FURTIVIDADE'), type: 'physical' },
-      sobrevivencia: { label: game.i18n.localize('CONTRATO.SKILLS.SOBREVIVENCIA'), type: 'physical' },
-      computadores: { label: game.i18n.localize('CONTRATO.SKILLS.COMPUTADORES'), type: 'mental' },
-      investigacao: { label: game.i18n.localize('CONTRATO.SKILLS.INVESTIGACAO'), type: 'mental' },
-      medicina: { label: game.i18n.localize('CONTRATO.SKILLS.MEDICINA'), type: 'mental' },
-      ocultismo: { label: game.i18n.localize('CONTRATO.SKILLS.OCULTISMO'), type: 'mental' },
-      ciencias: { label: game.i18n.localize('CONTRATO.SKILLS.CIENCIAS'), type: 'mental' },
-      empatia: { label: game.i18n.localize('CONTRATO.SKILLS.EMPATIA'), type: 'social' },
-      expressao: { label: game.i18n.localize('CONTRATO.SKILLS.EXPRESSAO'), type: 'social' },
-      intimidacao: { label: game.i18n.localize('CONTRATO.SKILLS.INTIMIDACAO'), type: 'social' },
-      persuasao: { label: game.i18n.localize('CONTRATO.SKILLS.PERSUASAO'), type: 'social' },
-      subterfugio: { label: game.i18n.localize('CONTRATO.SKILLS.SUBTERFUGIO'), type: 'social' },
-      armasBrancas: { label: game.i18n.localize('CONTRATO.SKILLS.ARMAS_BRANCAS'), type: 'combat' },
-      armasDeFogo: { label: game.i18n.localize('CONTRATO.SKILLS.ARMAS_DE_FOGO'), type: 'combat' },
-      defesa: { label: game.i18n.localize('CONTRATO.SKILLS.DEFESA'), type: 'combat' }
-    },
-    /**
-     * Modificadores situacionais disponíveis para rolagens. Estes são
-     * baseados na tabela de regras e podem ser selecionados no diálogo de
-     * rolagem para ajustar a dificuldade de acordo com as condições da cena.
-     */
-    modifiers: [
-      { value: 3, label: 'Equipamento perfeito / condições ideais' },
-      { value: 1, label: 'Boa preparação / equipamento adequado' },
-      { value: 0, label: 'Condições normais' },
-      { value: -1, label: 'Condições adversas / equipamento inadequado' },
-      { value: -3, label: 'Condições terríveis / sem equipamento' },
-      { value: -2, label: 'Pressa extrema' },
-      { value: -2, label: 'Ferimentos graves' },
-      { value: -1, label: 'Distração significativa' }
-    ]
-  };
+  // Listas e parâmetros do sistema, consultados em todos os módulos
+  CONFIG.Contrato = CONTRATO;
 
   // Registra classes personalizadas para atores
   CONFIG.Actor.documentClass = ContractoActor;
+  CONFIG.Actor.dataModels.character = ContractoCharacterData;
+  CONFIG.Actor.dataModels.npc = ContractoNpcData;
 
   // Registra classes personalizadas para itens
   CONFIG.Item.documentClass = ContractoItem;
+  CONFIG.Item.dataModels.power = ContractoPowerData;
+  CONFIG.Item.dataModels.advantage = ContractoAdvantageData;
+  CONFIG.Item.dataModels.equipment = ContractoEquipmentData;
+  // Combate: iniciativa, combatentes e barras de recurso dos tokens
+  CONFIG.Combat.initiative = { formula: '1d12 + @skills.atletismo - @saude.wound.penalty', decimals: 2 };
+  CONFIG.Combatant.documentClass = ContractoCombatant;
+  CONFIG.statusEffects.push({ id: 'frenzy', name: 'CONTRATO.BEAST.FRENZY', img: 'icons/svg/terror.svg' });
+  CONFIG.Actor.trackableAttributes = {
+    character: { bar: ['saude', 'reservaDados'], value: ['attributes.mortalidade'] },
+    npc: { bar: ['saude', 'reservaDados'], value: ['threat'] }
+  };
+
+  // Registra a rolagem de perícia para que mensagens salvas sejam reconstruídas
+  CONFIG.Dice.rolls.push(ContratoRoll);
+
   // Define tipos de itens suportados (poderes, vantagens, equipamentos)
   CONFIG.Contrato.itemTypes = ['power', 'advantage', 'equipment'];
 
   // Desregistra a folha padrão e registra a folha estilizada
   Actors.unregisterSheet('core', ActorSheet);
   Actors.registerSheet('contrato-de-sangue', ContractoCharacterSheet, { types: ['character'], makeDefault: true });
+  Actors.registerSheet('contrato-de-sangue', ContractoNpcSheet, { types: ['npc'], makeDefault: true });
 
   // Registra folha de itens
   Items.unregisterSheet('core', ItemSheet);
@@ -88,8 +85,34 @@ Hooks.once('init', async function() {
 Hooks.once('ready', () => {
   console.log('Contrato de Sangue | Sistema pronto');
   game.contrato = {
-    rollSkill: (actor, skillKey) => actor.rollSkill(skillKey)
+    rollSkill: (actor, skillKey, options) => actor.rollSkill(skillKey, options),
+    quickRoll: (actor, skillKey, options) => actor.quickRoll(skillKey, options),
+    rollMinions: (actors, skillKey, options) => rollMinions(actors, skillKey, options),
+    opposedRoll: (actor, skillKey, options) => opposedRoll(actor, skillKey, options),
+    rollAttack: (actor, item) => actor.rollAttack(item),
+    usePower: (actor, item) => actor.usePower(item),
+    groupRoll: (actors, skillKey, options) => groupRoll(actors, skillKey, options),
+    refreshAllReserves: () => ContractoActor.refreshAllReserves(),
+    recordFeeding: actor => recordFeeding(actor),
+    checkHunts: () => checkHunts(),
+    adjustBalance: (actor, options) => adjustBalance(actor, options),
+    exportHistory: (actor, format, filter) => exportHistory(actor, format, filter),
+    partyOverview: () => PartyOverviewApp.open(),
+    ContratoRoll
   };
+  registerSocket();
+  registerContestSocket();
+  registerPowerSocket();
+  registerBeast();
+  registerHistory();
+
+  // Pedidos de perda para a Besta feitos sem Mestre conectado não chegaram
+  reconcileBeast();
+
+  // Verifica caças vencidas enquanto o mundo estava fechado; com o Simple
+  // Calendar, espera o calendário carregar
+  if (game.modules.get('foundryvtt-simple-calendar')?.active) Hooks.once('simple-calendar-ready', () => checkHunts());
+  else checkHunts();
 
   // Registra helper Handlebars para formatar timestamps
   Handlebars.registerHelper('formatTimestamp', function(ts) {
@@ -97,4 +120,46 @@ Hooks.once('ready', () => {
     const d = new Date(ts);
     return d.toLocaleString();
   });
-});
\ No newline at end of file
+});
+
+/**
+ * Adiciona ao diretório de atores um botão, visível apenas para o Mestre, que
+ * restaura a reserva de dados de todos os personagens.
+ */
+Hooks.on('renderActorDirectory', (app, html) => {
+  if (!game.user.isGM) return;
+  const button = $(`<button type="button" class="contrato-refresh-reserves"><i class="fas fa-dice"></i> ${game.i18n.localize('CONTRATO.RESERVE.REFRESH_ALL')}</button>`);
+  button.on('click', () => ContractoActor.refreshAllReserves());
+  html.find('.header-actions').append(button);
+});
+
+/**
+ * Adiciona aos controles de token um botão, visível apenas para o Mestre, que
+ * abre o painel do grupo.
+ */
+Hooks.on('getSceneControlButtons', controls => {
+  const tokens = controls.find(c => c.name === 'token');
+  tokens?.tools.push({
+    name: 'contrato-party',
+    title: 'CONTRATO.PARTY.TITLE',
+    icon: 'fas fa-users',
+    button: true,
+    visible: game.user.isGM,
+    onClick: () => PartyOverviewApp.open()
+  });
+});
+
+// Botões dos cartões de rolagem (gastar mais dados, aplicar resultado) e de dano
+Hooks.on('renderChatMessage', (message, html) => {
+  ContratoRoll.activateChatListeners(message, html);
+  activateDamageListeners(message, html);
+});
+
+// Expira efeitos de poderes com a passagem de rodadas e do tempo do mundo
+Hooks.on('updateCombat', (combat, changed) => {
+  if ('round' in changed || 'turn' in changed) expirePowerEffects();
+});
+Hooks.on('updateWorldTime', () => {
+  expirePowerEffects();
+  checkHunts();
+});
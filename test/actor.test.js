@@ -0,0 +1,249 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { actAs, dice, player, resetEnvironment } from './stubs/foundry.js';
+import { advantage, createCharacter, createNpc } from './stubs/actors.js';
+import { historyEntries } from '../module/contracto-history.js';
+import { purchaseAdvance } from '../module/contracto-creation.js';
+
+/**
+ * Registra os cruzamentos emitidos em `contrato.thresholdCrossed`.
+ *
+ * @returns {object[]}
+ */
+function recordCrossings() {
+  const crossings = [];
+  Hooks.on('contrato.thresholdCrossed', (actor, crossing) => crossings.push(crossing));
+  return crossings;
+}
+
+/**
+ * Aguarda as reações assíncronas de `_onUpdate`, que não são aguardadas pela
+ * atualização.
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => resetEnvironment());
+
+describe('balança na atualização', () => {
+  it('ajusta a Humanidade quando a Bestialidade muda', async () => {
+    const actor = createCharacter();
+    await actor.update({ 'system.attributes.bestialidade': 9 });
+    assert.deepEqual(actor.system.attributes, { humanidade: 3, bestialidade: 9, mortalidade: 0 });
+  });
+
+  it('ajusta a Bestialidade quando a Humanidade muda', async () => {
+    const actor = createCharacter();
+    await actor.update({ 'system.attributes.humanidade': 8 });
+    assert.equal(actor.system.attributes.bestialidade, 4);
+  });
+
+  it('reduz a reserva atual quando o máximo cai', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 4, bestialidade: 8 }, reservaDados: { current: 9 } });
+    await actor.update({ 'system.attributes.humanidade': 9 });
+    assert.equal(actor.system.reservaDados.max, 4);
+    assert.equal(actor.system.reservaDados.current, 4);
+  });
+
+  it('registra o corte da reserva no histórico', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 4, bestialidade: 8 }, reservaDados: { current: 9 } });
+    await actor.update({ 'system.attributes.humanidade': 9 });
+    await settle();
+    const reserve = historyEntries(actor).filter(e => e.type === 'reserve');
+    assert.deepEqual(reserve.map(e => [e.reason, e.from, e.to]), [['limit', 9, 4]]);
+  });
+
+  it('considera os bônus de vantagens no máximo da reserva', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 4, bestialidade: 8 }, reservaDados: { current: 9 } }, {
+      items: [advantage('Sangue Antigo', [{ type: 'reserve', value: 2 }])]
+    });
+    await actor.update({ 'system.attributes.humanidade': 9 });
+    assert.equal(actor.system.reservaDados.max, 6);
+    assert.equal(actor.system.reservaDados.current, 6);
+  });
+
+  it('mantém a reserva quando o máximo sobe', async () => {
+    const actor = createCharacter({ reservaDados: { current: 5 } });
+    await actor.update({ 'system.attributes.bestialidade': 8 });
+    assert.equal(actor.system.reservaDados.max, 9);
+    assert.equal(actor.system.reservaDados.current, 5);
+  });
+});
+
+describe('NPCs', () => {
+  it('limita a reserva atual à máxima', async () => {
+    const npc = createNpc({ reservaDados: { enabled: true, current: 2, max: 3 } });
+    await npc.update({ 'system.reservaDados.current': 5 });
+    assert.equal(npc.system.reservaDados.current, 3);
+    await npc.update({ 'system.reservaDados.max': 1 });
+    assert.equal(npc.system.reservaDados.current, 1);
+  });
+});
+
+describe('Dado Umbral', () => {
+  it('soma 1 à Bestialidade e tira 1 da Humanidade', async () => {
+    const actor = createCharacter();
+    await actor.applyUmbralDie();
+    assert.deepEqual(actor.system.attributes, { humanidade: 5, bestialidade: 7, mortalidade: 0 });
+    assert.equal(actor.system.reservaDados.max, 8);
+  });
+
+  it('não passa de 11', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 1, bestialidade: 11 } });
+    await actor.shiftBestialidade(1);
+    assert.equal(actor.system.attributes.bestialidade, 11);
+  });
+
+  it('exige teste de frenesi perto da Besta', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 4, bestialidade: 8 } });
+    // 1d12 + Humanidade 3 contra Bestialidade 9 + 3
+    dice.force(1);
+    await actor.applyUmbralDie();
+    assert.equal(actor.system.attributes.bestialidade, 9);
+    assert.ok(actor.statuses.has('frenzy'));
+    const frenzy = historyEntries(actor).find(e => e.type === 'beast');
+    assert.deepEqual([frenzy.total, frenzy.difficulty, frenzy.resisted], [4, 12, false]);
+  });
+
+  it('não afeta NPCs', async () => {
+    const npc = createNpc();
+    await npc.applyUmbralDie();
+    assert.equal(npc.system.attributes, undefined);
+  });
+});
+
+describe('limiares', () => {
+  it('emite a subida de faixa de Mortalidade', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 2 } });
+    const crossings = recordCrossings();
+    await actor.update({ 'system.attributes.mortalidade': 3 });
+    await settle();
+    assert.deepEqual(crossings, [{ threshold: 'mortalidade', from: 'none', to: 'weekly', direction: 'up' }]);
+  });
+
+  it('emite a descida de faixa de Mortalidade', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 12 } });
+    const crossings = recordCrossings();
+    await actor.update({ 'system.attributes.mortalidade': 8 });
+    await settle();
+    assert.deepEqual(crossings, [{ threshold: 'mortalidade', from: 'constant', to: 'twice-weekly', direction: 'down' }]);
+  });
+
+  it('reagenda a caça quando a faixa de Mortalidade muda', async () => {
+    game.time.worldTime = 1000;
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 8 } });
+    await actor.update({ 'system.attributes.mortalidade': 9 });
+    await settle();
+    const hunt = actor.getFlag('contrato-de-sangue', 'hunt');
+    assert.equal(hunt.frequency, 'daily');
+    assert.equal(hunt.dueAt, 1000 + CONFIG.Contrato.hunt.secondsPerDay);
+  });
+
+  it('passa pelos extremos da Bestialidade até a perda para a Besta', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 3, bestialidade: 9 } });
+    const crossings = recordCrossings();
+    await actor.shiftBestialidade(1);
+    await actor.shiftBestialidade(1);
+    await settle();
+    assert.deepEqual(crossings, [
+      { threshold: 'bestialidade', from: 'normal', to: 'extreme', direction: 'up' },
+      { threshold: 'bestialidade', from: 'extreme', to: 'lost', direction: 'up' }
+    ]);
+  });
+
+  it('salta níveis em uma única alteração', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 1, bestialidade: 11 } });
+    const crossings = recordCrossings();
+    await actor.update({ 'system.attributes.humanidade': 10 });
+    await settle();
+    assert.deepEqual(crossings, [
+      { threshold: 'humanidade', from: 'normal', to: 'extreme', direction: 'up' },
+      { threshold: 'bestialidade', from: 'lost', to: 'normal', direction: 'down' }
+    ]);
+  });
+
+  it('não emite nada dentro da mesma faixa', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 3 } });
+    const crossings = recordCrossings();
+    await actor.update({ 'system.attributes.mortalidade': 5, 'system.attributes.bestialidade': 8 });
+    await settle();
+    assert.deepEqual(crossings, []);
+  });
+
+  it('registra mudanças e cruzamentos no histórico', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 5 } });
+    await actor.update({ 'system.attributes.mortalidade': 6 });
+    await settle();
+    const attribute = historyEntries(actor).filter(e => e.type === 'attribute');
+    assert.deepEqual(attribute.map(e => [e.event, e.attribute ?? e.threshold, e.from, e.to]), [
+      ['shift', 'mortalidade', 5, 6],
+      ['threshold', 'mortalidade', 'weekly', 'twice-weekly']
+    ]);
+  });
+
+  it('registra no console as falhas das reações, sem rejeições soltas', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 2 } });
+    actor.setFlag = async () => {
+      throw new Error('sem permissão');
+    };
+    const errors = [];
+    const { error } = console;
+    console.error = (...args) => errors.push(args);
+    try {
+      await actor.update({ 'system.attributes.mortalidade': 3 });
+      await settle();
+    } finally {
+      console.error = error;
+    }
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0][1].message, 'sem permissão');
+  });
+
+  it('reage apenas no cliente que fez a alteração', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 2 } });
+    const crossings = recordCrossings();
+    const changed = { system: { attributes: { mortalidade: 3 } } };
+    const options = {};
+    await actor._preUpdate(changed, options, game.user);
+    actor.updateSource(changed);
+    actor.prepareData();
+    actor._onUpdate(changed, options, 'outro-usuario');
+    await settle();
+    assert.deepEqual(crossings, []);
+  });
+});
+
+describe('personagem criado', () => {
+  const created = { 'contrato-de-sangue': { created: true } };
+
+  it('recusa perícias e balança editadas por jogadores', async () => {
+    const actor = createCharacter({ skills: { briga: 2 } }, { flags: created });
+    await actAs(player, async () => {
+      await actor.update({ 'system.skills.briga': 5 });
+      await actor.update({ 'system.attributes.humanidade': 9 });
+    });
+    assert.equal(actor.system.skills.briga, 2);
+    assert.equal(actor.system.attributes.humanidade, 6);
+    assert.equal(ui.notifications.log.filter(n => n.type === 'warn').length, 2);
+  });
+
+  it('aceita as alterações feitas pelas regras do sistema', async () => {
+    const actor = createCharacter({ skills: { briga: 2 }, experience: { total: 10 } }, { flags: created });
+    await actAs(player, async () => {
+      await actor.applyUmbralDie();
+      await purchaseAdvance(actor, { type: 'skill', key: 'briga' });
+      await actor.update({ 'system.attributes.mortalidade': 1 });
+    });
+    assert.equal(actor.system.attributes.bestialidade, 7);
+    assert.equal(actor.system.skills.briga, 3);
+    assert.equal(actor.system.attributes.mortalidade, 1);
+  });
+
+  it('permite a edição ao Mestre e antes da criação', async () => {
+    const gmEdited = createCharacter({}, { flags: created });
+    await gmEdited.update({ 'system.skills.briga': 4 });
+    const draft = createCharacter();
+    await actAs(player, () => draft.update({ 'system.skills.briga': 3 }));
+    assert.equal(gmEdited.system.skills.briga, 4);
+    assert.equal(draft.system.skills.briga, 3);
+  });
+});
@@ -0,0 +1,143 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { actAs, player, resetEnvironment } from './stubs/foundry.js';
+import { createCharacter } from './stubs/actors.js';
+import { isLostToBeast, loseToBeast, reconcileBeast, registerBeast } from '../module/contracto-beast.js';
+import { registerSocket } from '../module/contracto-socket.js';
+
+/**
+ * Personagem de um jogador, com a Bestialidade informada.
+ *
+ * @param {number} bestialidade
+ * @returns {Actor}
+ */
+function playerCharacter(bestialidade) {
+  return createCharacter({ attributes: { humanidade: 12 - bestialidade, bestialidade } }, {
+    ownership: { default: 0, [player.id]: CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER }
+  });
+}
+
+/**
+ * Entrega ao Mestre um pedido de socket do jogador.
+ *
+ * @param {string} command
+ * @param {Actor} actor
+ */
+function request(command, actor) {
+  return game.socket.receive({ action: 'beast', command, userId: game.user.id, actorUuid: actor.uuid }, player.id);
+}
+
+/**
+ * Aguarda as reações aos limiares, que não são aguardadas pela atualização.
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  resetEnvironment();
+  registerSocket();
+  registerBeast();
+});
+
+describe('perda para a Besta', () => {
+  it('reduz os jogadores a permissão limitada e guarda a anterior', async () => {
+    const actor = playerCharacter(11);
+    await loseToBeast(actor);
+    assert.ok(isLostToBeast(actor));
+    assert.equal(actor.ownership[player.id], CONST.DOCUMENT_OWNERSHIP_LEVELS.LIMITED);
+    assert.equal(actor.getFlag('contrato-de-sangue', 'lost').ownership[player.id], CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER);
+  });
+
+  it('repassa ao Mestre o pedido de um jogador', async () => {
+    const actor = playerCharacter(11);
+    await actAs(player, () => loseToBeast(actor));
+    assert.equal(isLostToBeast(actor), false);
+    assert.deepEqual(game.socket.emitted, [{ action: 'beast', command: 'lose', userId: 'gm', actorUuid: actor.uuid }]);
+    await game.socket.receive(game.socket.emitted[0], player.id);
+    assert.ok(isLostToBeast(actor));
+  });
+
+  it('não envia pedidos sem Mestre conectado', async () => {
+    const actor = playerCharacter(10);
+    game.users.activeGM = null;
+    await actAs(player, () => actor.shiftBestialidade(1));
+    await settle();
+    assert.deepEqual(game.socket.emitted, []);
+  });
+
+  it('avisa quando a mudança de permissões falha', async () => {
+    const actor = playerCharacter(10);
+    const { update } = actor;
+    actor.update = function (changes, options) {
+      if ('ownership' in changes) return Promise.reject(new Error('sem permissão'));
+      return update.call(this, changes, options);
+    };
+    const { error } = console;
+    console.error = () => {};
+    try {
+      await actor.shiftBestialidade(1);
+      await settle();
+    } finally {
+      console.error = error;
+    }
+    assert.equal(isLostToBeast(actor), false);
+    assert.equal(ui.notifications.log.at(-1).type, 'error');
+  });
+});
+
+describe('pedidos de jogadores', () => {
+  it('recusa devolver um personagem ainda no nível perdido', async () => {
+    const actor = playerCharacter(11);
+    await loseToBeast(actor);
+    await request('restore', actor);
+    assert.ok(isLostToBeast(actor));
+    assert.equal(actor.ownership[player.id], CONST.DOCUMENT_OWNERSHIP_LEVELS.LIMITED);
+  });
+
+  it('devolve o personagem quando a balança saiu do nível perdido', async () => {
+    const actor = playerCharacter(11);
+    await loseToBeast(actor);
+    actor.updateSource({ 'system.attributes.humanidade': 2, 'system.attributes.bestialidade': 10 });
+    actor.prepareData();
+    await request('restore', actor);
+    assert.equal(isLostToBeast(actor), false);
+    assert.equal(actor.ownership[player.id], CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER);
+  });
+
+  it('recusa perder um personagem abaixo do nível perdido', async () => {
+    const actor = playerCharacter(10);
+    await request('lose', actor);
+    assert.equal(isLostToBeast(actor), false);
+    assert.equal(actor.ownership[player.id], CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER);
+  });
+
+  it('ignora pedidos endereçados a outro Mestre', async () => {
+    const actor = playerCharacter(11);
+    await game.socket.receive({ action: 'beast', command: 'lose', userId: 'outro', actorUuid: actor.uuid }, player.id);
+    assert.equal(isLostToBeast(actor), false);
+  });
+});
+
+describe('conferência no `ready`', () => {
+  it('entrega à Besta quem ficou perdido sem Mestre conectado', async () => {
+    const lost = playerCharacter(11);
+    const safe = playerCharacter(9);
+    await reconcileBeast();
+    assert.ok(isLostToBeast(lost));
+    assert.equal(isLostToBeast(safe), false);
+  });
+
+  it('devolve quem saiu do nível perdido', async () => {
+    const actor = playerCharacter(11);
+    await loseToBeast(actor);
+    actor.updateSource({ 'system.attributes.humanidade': 3, 'system.attributes.bestialidade': 9 });
+    actor.prepareData();
+    await reconcileBeast();
+    assert.equal(isLostToBeast(actor), false);
+  });
+
+  it('só é feita pelo Mestre ativo', async () => {
+    const actor = playerCharacter(11);
+    await actAs(player, () => reconcileBeast());
+    assert.equal(isLostToBeast(actor), false);
+  });
+});
@@ -0,0 +1,40 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment } from './stubs/foundry.js';
+import { advantage, createCharacter } from './stubs/actors.js';
+import { ContractoCharacterData } from '../module/contracto-data-models.js';
+
+beforeEach(() => resetEnvironment());
+
+describe('migração do personagem', () => {
+  it('converte valores textuais e recompõe a soma 12 a partir da Humanidade', () => {
+    const source = ContractoCharacterData.migrateData({
+      attributes: { humanidade: '7', bestialidade: '7', mortalidade: '-2' },
+      reservaDados: { current: '4' },
+      skills: { investigacao: '15' }
+    });
+    assert.deepEqual(source.attributes, { humanidade: 7, bestialidade: 5, mortalidade: 0 });
+    assert.equal(source.reservaDados.current, 4);
+    assert.equal(source.skills.investigacao, 10);
+  });
+
+  it('usa o máximo base da reserva quando o valor não é numérico', () => {
+    const source = ContractoCharacterData.migrateData({ attributes: { humanidade: 6, bestialidade: 6 }, reservaDados: { current: 'x' } });
+    assert.equal(source.reservaDados.current, 7);
+  });
+
+  it('não corta os dados concedidos por vantagens', () => {
+    const source = ContractoCharacterData.migrateData({ attributes: { humanidade: 6, bestialidade: 6 }, reservaDados: { current: 9 } });
+    assert.equal(source.reservaDados.current, 9);
+  });
+
+  it('preserva a reserva acima do máximo base ao recarregar o ator', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6 }, reservaDados: { current: 9 } }, {
+      items: [advantage('Sangue Antigo', [{ type: 'reserve', value: 2 }])]
+    });
+    assert.equal(actor.system.reservaDados.max, 9);
+    assert.equal(actor.system.reservaDados.current, 9);
+    await actor.changeReserve(-1, 'spend', { chat: false });
+    assert.equal(actor._source.system.reservaDados.current, 8);
+  });
+});
@@ -0,0 +1,90 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment } from './stubs/foundry.js';
+import { createCharacter } from './stubs/actors.js';
+import { historyEntries, registerHistory } from '../module/contracto-history.js';
+
+beforeEach(() => resetEnvironment());
+
+describe('migração do histórico', () => {
+  it('converte as entradas gravadas pela versão original', async () => {
+    const actor = createCharacter({}, {
+      flags: {
+        'contrato-de-sangue': {
+          history: [
+            { timestamp: 1000, type: 'mortalidade', level: 'weekly', mortalidade: 3 },
+            { timestamp: 2000, type: 'roll', skill: 'investigacao', total: 14, humanidade: 6, bestialidade: 6, mort: 3 },
+            { timestamp: 3000, type: 'mortalidade', level: 'twice-weekly', mortalidade: 6 }
+          ]
+        }
+      }
+    });
+    await registerHistory();
+    assert.equal(actor.getFlag('contrato-de-sangue', 'history'), undefined);
+    const entries = historyEntries(actor);
+    assert.deepEqual(entries.map(e => [e.timestamp, e.type, e.event]), [
+      [1000, 'attribute', 'threshold'],
+      [2000, 'roll', undefined],
+      [3000, 'attribute', 'threshold']
+    ]);
+    assert.deepEqual(entries.map(e => [e.threshold, e.from, e.to]).filter(([threshold]) => threshold), [
+      ['mortalidade', 'none', 'weekly'],
+      ['mortalidade', 'weekly', 'twice-weekly']
+    ]);
+    assert.deepEqual([entries[1].skill, entries[1].total, entries[1].mort], ['investigacao', 14, 3]);
+  });
+
+  it('descarta tipos desconhecidos', async () => {
+    const actor = createCharacter({}, { flags: { 'contrato-de-sangue': { history: [{ timestamp: 1, type: 'outro' }] } } });
+    await registerHistory();
+    assert.deepEqual(historyEntries(actor), []);
+  });
+});
+
+describe('gravação do histórico', () => {
+  /**
+   * Conta as atualizações do ator que só gravam o histórico.
+   *
+   * @returns {object[]} Opções de cada atualização
+   */
+  function recordWrites() {
+    const writes = [];
+    Hooks.on('updateActor', (actor, changed, options) => {
+      if (options.contratoHistory) writes.push(options);
+    });
+    return writes;
+  }
+
+  it('grava em uma única atualização as entradas de um mesmo acontecimento', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 5 } });
+    const writes = recordWrites();
+    await actor.update({ 'system.attributes.mortalidade': 6 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(historyEntries(actor).map(e => e.event), ['shift', 'threshold']);
+    assert.equal(writes.length, 1);
+    assert.equal(writes[0].render, false);
+  });
+
+  it('junta as entradas que chegam durante uma gravação', async () => {
+    const actor = createCharacter();
+    const writes = recordWrites();
+    // Segura a primeira gravação até as demais entradas chegarem
+    let release;
+    const { update } = actor;
+    actor.update = async function (...args) {
+      await new Promise(resolve => (release = resolve));
+      actor.update = update;
+      return update.apply(this, args);
+    };
+    const first = actor.recordHistory({ type: 'roll', skill: 'briga', total: 10 });
+    await new Promise(resolve => setImmediate(resolve));
+    const rest = [
+      actor.recordHistory({ type: 'roll', skill: 'briga', total: 11 }),
+      actor.recordHistory({ type: 'roll', skill: 'briga', total: 12 })
+    ];
+    release();
+    await Promise.all([first, ...rest]);
+    assert.deepEqual(historyEntries(actor).map(e => e.total), [10, 11, 12]);
+    assert.equal(writes.length, 2);
+  });
+});
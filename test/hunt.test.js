@@ -0,0 +1,188 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment } from './stubs/foundry.js';
+import { createCharacter } from './stubs/actors.js';
+import { checkHunts, huntStatus, nextHuntTime, recordFeeding } from '../module/contracto-hunt.js';
+
+const DAY = 86400;
+
+/**
+ * Ativa um Simple Calendar simulado com dias de 30 horas. As notas criadas e
+ * removidas ficam registradas na API.
+ *
+ * @returns {object} A API simulada
+ */
+function activateCalendar() {
+  const secondsPerDay = 30 * 3600;
+  const api = {
+    notes: [],
+    removed: [],
+    NoteRepeat: { Never: 0, Weekly: 1, Monthly: 2, Yearly: 3 },
+    timestampPlusInterval: (time, { day = 0, hour = 0 }) => time + day * secondsPerDay + hour * 3600,
+    timestampToDate: time => ({
+      year: 1,
+      month: 0,
+      day: Math.floor(time / secondsPerDay),
+      hour: Math.floor((time % secondsPerDay) / 3600),
+      minute: 0,
+      seconds: 0
+    }),
+    async addNote(title, content, start, end, allDay, repeat) {
+      const note = { id: `note${api.notes.length + 1}`, title, start, repeat };
+      api.notes.push(note);
+      return note;
+    },
+    async removeNote(id) {
+      api.removed.push(id);
+    }
+  };
+  game.modules.set('foundryvtt-simple-calendar', { active: true });
+  globalThis.SimpleCalendar = { api };
+  return api;
+}
+
+beforeEach(() => resetEnvironment());
+
+describe('próximo prazo de caça', () => {
+  it('usa dias de `secondsPerDay` sem o calendário', () => {
+    assert.equal(nextHuntTime(100, 'weekly'), 100 + 7 * DAY);
+    assert.equal(nextHuntTime(0, 'twice-weekly'), 3 * DAY + DAY / 2);
+    assert.equal(nextHuntTime(0, 'daily'), DAY);
+    assert.equal(nextHuntTime(0, 'constant'), DAY / 2);
+  });
+
+  it('não agenda caça sem frequência', () => {
+    assert.equal(nextHuntTime(0, 'none'), null);
+  });
+
+  it('delega ao Simple Calendar quando ativo', () => {
+    activateCalendar();
+    assert.equal(nextHuntTime(0, 'weekly'), 7 * 30 * 3600);
+    assert.equal(nextHuntTime(0, 'twice-weekly'), 3 * 30 * 3600 + 12 * 3600);
+  });
+
+  it('ignora o calendário com o módulo inativo', () => {
+    activateCalendar();
+    game.modules.set('foundryvtt-simple-calendar', { active: false });
+    assert.equal(nextHuntTime(0, 'weekly'), 7 * DAY);
+  });
+});
+
+describe('verificação dos prazos', () => {
+  it('agenda personagens ainda sem rastreamento', async () => {
+    game.time.worldTime = 500;
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 3 } });
+    await checkHunts();
+    assert.deepEqual(huntStatus(actor), { lastFed: 500, dueAt: 500 + 7 * DAY, missed: 0, overdue: false });
+  });
+
+  it('conta cada intervalo sem caçar e aplica as consequências', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 3 } });
+    await checkHunts();
+    game.time.worldTime = 3 * 7 * DAY + 1;
+    await checkHunts();
+    const hunt = huntStatus(actor);
+    assert.equal(hunt.missed, 3);
+    assert.equal(hunt.dueAt, 4 * 7 * DAY);
+    assert.equal(hunt.overdue, false);
+    // Cada caça perdida soma 1 à Bestialidade e 1 à penalidade
+    assert.deepEqual(actor.system.attributes, { humanidade: 3, bestialidade: 9, mortalidade: 3 });
+    assert.equal(actor.system.mortalidade.penalty, 1 + 3);
+    assert.equal(ChatMessage.log.length, 1);
+    assert.equal(ui.notifications.log[0].type, 'warn');
+  });
+
+  it('conta uma única vez a caça perdida em verificações simultâneas', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 3 } });
+    await checkHunts();
+    game.time.worldTime = 7 * DAY + 1;
+    await Promise.all([checkHunts(), checkHunts()]);
+    assert.equal(huntStatus(actor).missed, 1);
+    assert.equal(actor.system.attributes.bestialidade, 7);
+    assert.equal(ChatMessage.log.length, 1);
+  });
+
+  it('move a nota do calendário para o novo prazo', async () => {
+    const api = activateCalendar();
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 9 } });
+    await checkHunts();
+    game.time.worldTime = 30 * 3600;
+    await checkHunts();
+    assert.deepEqual(api.removed, ['note1']);
+    assert.equal(api.notes[1].start.day, 2);
+    assert.equal(api.notes[1].repeat, api.NoteRepeat.Never);
+    assert.equal(actor.getFlag('contrato-de-sangue', 'hunt').noteId, 'note2');
+  });
+
+  it('não faz nada antes do prazo', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 9 } });
+    await checkHunts();
+    game.time.worldTime = DAY - 1;
+    await checkHunts();
+    assert.equal(huntStatus(actor).missed, 0);
+    assert.equal(actor.system.attributes.bestialidade, 6);
+  });
+
+  it('limita as caças contadas de uma vez e recomeça o prazo a partir de agora', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 10, bestialidade: 2, mortalidade: 12 } });
+    await checkHunts();
+    const now = 100 * DAY;
+    game.time.worldTime = now;
+    await checkHunts();
+    const hunt = huntStatus(actor);
+    assert.equal(hunt.missed, 30);
+    assert.equal(hunt.dueAt, now + DAY / 2);
+    assert.equal(actor.system.attributes.bestialidade, 11);
+  });
+
+  it('reagenda quando a frequência muda', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 3 } });
+    await checkHunts();
+    game.time.worldTime = DAY;
+    // Alteração feita por outro cliente: este não reagenda em `_onUpdate`
+    const changed = { system: { attributes: { mortalidade: 9 } } };
+    actor.updateSource(changed);
+    actor.prepareData();
+    await checkHunts();
+    const hunt = actor.getFlag('contrato-de-sangue', 'hunt');
+    assert.equal(hunt.frequency, 'daily');
+    assert.equal(hunt.dueAt, DAY);
+    assert.equal(hunt.missed ?? 0, 0);
+  });
+
+  it('só é executada pelo Mestre ativo', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 3 } });
+    game.users.activeGM = { id: 'outro', isSelf: false };
+    try {
+      await checkHunts();
+    } finally {
+      game.users.activeGM = game.user;
+    }
+    assert.equal(actor.getFlag('contrato-de-sangue', 'hunt'), undefined);
+  });
+});
+
+describe('alimentação', () => {
+  it('zera as caças perdidas e agenda o próximo prazo', async () => {
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 6 } }, {
+      flags: { 'contrato-de-sangue': { hunt: { lastFed: 0, dueAt: 10, missed: 2, frequency: 'twice-weekly' } } }
+    });
+    assert.equal(actor.system.mortalidade.penalty, 2 + 2);
+    game.time.worldTime = 5 * DAY;
+    await recordFeeding(actor);
+    assert.deepEqual(huntStatus(actor), { lastFed: 5 * DAY, dueAt: 5 * DAY + 3.5 * DAY, missed: 0, overdue: false });
+    assert.equal(actor.system.mortalidade.penalty, 2);
+  });
+
+  it('recria a nota do calendário na data do prazo', async () => {
+    const api = activateCalendar();
+    const actor = createCharacter({ attributes: { humanidade: 6, bestialidade: 6, mortalidade: 3 } });
+    await recordFeeding(actor);
+    await recordFeeding(actor);
+    assert.equal(api.notes.length, 2);
+    assert.deepEqual(api.removed, ['note1']);
+    assert.equal(api.notes[1].start.day, 7);
+    assert.equal(api.notes[1].repeat, api.NoteRepeat.Weekly);
+    assert.equal(actor.getFlag('contrato-de-sangue', 'hunt').noteId, 'note2');
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import './stubs/foundry.js';
+import { parseAdvantageRules } from '../module/contracto-advantages.js';
+import { ITEM_MODELS, validateItem } from '../tools/item-schema.js';
+
+const SOURCE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'packs', '_source');
+
+/**
+ * Valores que o campo do modelo rejeita, segundo as suas opções.
+ *
+ * @param {DataField} field
+ * @returns {*[]}
+ */
+function rejectedBy(field) {
+  const { ArrayField, BooleanField, HTMLField, NumberField, StringField } = foundry.data.fields;
+  const { blank, choices, integer, min, max } = field.options;
+  if (field instanceof StringField || field instanceof HTMLField) {
+    return [1, ...(blank === false ? [''] : []), ...(choices ? ['valor-invalido'] : [])];
+  }
+  if (field instanceof NumberField) {
+    return ['1', ...(integer ? [1.5] : []), ...(min !== undefined ? [min - 1] : []), ...(max !== undefined ? [max + 1] : [])];
+  }
+  if (field instanceof BooleanField) return ['sim'];
+  if (field instanceof ArrayField) return ['lista', [1]];
+  return [];
+}
+
+/**
+ * Entrada de compêndio com os valores iniciais do modelo.
+ *
+ * @param {string} type
+ * @param {object} [system] Valores que substituem os iniciais
+ * @returns {object}
+ */
+function entryOf(type, system = {}) {
+  const initial = Object.fromEntries(Object.entries(ITEM_MODELS[type].defineSchema()).map(([k, f]) => [k, f.getInitialValue()]));
+  return { _id: 'abcdefghijklmnop', _key: '!items!abcdefghijklmnop', name: 'Teste', type, system: { ...initial, ...system } };
+}
+
+describe('esquema dos compêndios', () => {
+  for (const [type, Model] of Object.entries(ITEM_MODELS)) {
+    describe(type, () => {
+      const schema = Model.defineSchema();
+
+      it('aceita os valores iniciais do modelo', () => {
+        assert.deepEqual(validateItem(entryOf(type)), []);
+      });
+
+      it('rejeita o que o modelo rejeita', () => {
+        for (const [key, field] of Object.entries(schema)) {
+          for (const value of rejectedBy(field)) {
+            const errors = validateItem(entryOf(type, { [key]: value }));
+            assert.ok(errors.some(e => e.startsWith(`system.${key}`)), `system.${key} = ${JSON.stringify(value)}`);
+          }
+        }
+      });
+
+      it('exige todos os campos do modelo e nenhum outro', () => {
+        for (const key of Object.keys(schema)) {
+          const entry = entryOf(type);
+          delete entry.system[key];
+          assert.deepEqual(validateItem(entry), [`system.${key} é obrigatório`]);
+        }
+        assert.deepEqual(validateItem(entryOf(type, { extra: 1 })), ['system.extra não existe no esquema']);
+      });
+    });
+  }
+
+  it('segue as escolhas e os limites do modelo', () => {
+    assert.notDeepEqual(validateItem(entryOf('power', { target: 'area' })), []);
+    assert.notDeepEqual(validateItem(entryOf('equipment', { quality: 'lendaria' })), []);
+    assert.deepEqual(validateItem(entryOf('equipment', { quality: Object.keys(CONFIG.Contrato.equipmentQualities)[0] })), []);
+    assert.notDeepEqual(validateItem(entryOf('equipment', { quantity: 1.5 })), []);
+    assert.notDeepEqual(validateItem(entryOf('equipment', { weight: -1 })), []);
+  });
+
+  it('aceita todas as fontes dos compêndios', () => {
+    for (const pack of fs.readdirSync(SOURCE)) {
+      for (const file of fs.readdirSync(path.join(SOURCE, pack)).filter(f => f.endsWith('.json'))) {
+        const entry = JSON.parse(fs.readFileSync(path.join(SOURCE, pack, file), 'utf8'));
+        assert.deepEqual(validateItem(entry, { parseRules: parseAdvantageRules }), [], `${pack}/${file}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,71 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { actAs, player, resetEnvironment } from './stubs/foundry.js';
+import { createCharacter, power } from './stubs/actors.js';
+import { registerPowerSocket, usePower } from '../module/contracto-powers.js';
+import { registerSocket } from '../module/contracto-socket.js';
+
+const OWNER = 3;
+const SWIFT = { name: 'Rapidez', changes: [{ key: 'system.skills.atletismo', mode: 2, value: '2' }] };
+
+/**
+ * Um usuário dono de um personagem com um poder e um outro personagem, de
+ * outro jogador, como alvo.
+ *
+ * @param {string} [target='targets']
+ * @returns {{caster: Actor, item: object, victim: Actor}}
+ */
+function scene(target = 'targets') {
+  const item = power('Rapidez', [SWIFT], target);
+  const caster = createCharacter({}, { items: [item], ownership: { default: 0, [player.id]: OWNER } });
+  const victim = createCharacter({}, { name: 'Outro' });
+  return { caster, item, victim };
+}
+
+beforeEach(() => {
+  resetEnvironment();
+  registerSocket();
+  registerPowerSocket();
+});
+
+describe('efeitos de poderes em alvos alheios', () => {
+  it('enviam ao Mestre apenas o poder e os alvos', async () => {
+    const { caster, item, victim } = scene();
+    player.targets.add({ actor: victim });
+    await actAs(player, () => usePower(caster, item));
+    assert.deepEqual(game.socket.emitted, [{ action: 'applyEffects', userId: 'gm', itemUuid: item.uuid, targetUuids: [victim.uuid] }]);
+    assert.equal(victim.effects.length, 0);
+  });
+
+  it('são reconstruídos pelo Mestre a partir do item', async () => {
+    const { item, victim } = scene();
+    const forged = [{ name: 'Forjado', changes: [{ key: 'system.attributes.bestialidade', mode: 5, value: '11' }] }];
+    await game.socket.receive({ action: 'applyEffects', userId: 'gm', itemUuid: item.uuid, targetUuids: [victim.uuid], effects: forged }, player.id);
+    assert.deepEqual(victim.effects.map(e => e.name), ['Rapidez']);
+    assert.equal(victim.effects[0].origin, item.uuid);
+  });
+
+  it('são recusados a quem não é dono do ator do poder', async () => {
+    const { item, victim } = scene();
+    const intruder = createCharacter({}, { name: 'Intruso' });
+    await game.socket.receive({ action: 'applyEffects', userId: 'gm', itemUuid: item.uuid, targetUuids: [intruder.uuid] }, 'estranho');
+    await game.socket.receive({ action: 'applyEffects', userId: 'gm', itemUuid: victim.uuid, targetUuids: [intruder.uuid] }, player.id);
+    assert.equal(intruder.effects.length, 0);
+  });
+
+  it('de poderes pessoais só alcançam o próprio ator', async () => {
+    const { caster, item, victim } = scene('self');
+    await game.socket.receive({ action: 'applyEffects', userId: 'gm', itemUuid: item.uuid, targetUuids: [victim.uuid, caster.uuid] }, player.id);
+    assert.equal(victim.effects.length, 0);
+    assert.equal(caster.effects.length, 1);
+  });
+});
+
+describe('efeitos de poderes em alvos próprios', () => {
+  it('são criados diretamente, sem o socket', async () => {
+    const { caster, item } = scene('self');
+    await actAs(player, () => usePower(caster, item));
+    assert.deepEqual(caster.effects.map(e => e.name), ['Rapidez']);
+    assert.deepEqual(game.socket.emitted, []);
+  });
+});
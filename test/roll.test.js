@@ -0,0 +1,165 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { dice, resetEnvironment } from './stubs/foundry.js';
+import { advantage, createCharacter, createNpc } from './stubs/actors.js';
+import { ContratoRoll } from '../module/contracto-roll.js';
+import { historyEntries } from '../module/contracto-history.js';
+
+beforeEach(() => resetEnvironment());
+
+describe('fórmula da rolagem', () => {
+  it('reúne perícia, dados da reserva, modificadores e penalidades', () => {
+    const formula = ContratoRoll.buildFormula({
+      skillValue: 3,
+      dice: ['sagrado', 'umbral'],
+      advantages: [{ name: 'Faro', value: 1 }, { name: 'Treino', value: 1 }],
+      modifier: -2,
+      gmModifier: { value: 1, reason: 'Chuva' },
+      penalty: 2,
+      wounds: 1,
+      encumbrance: 1
+    });
+    assert.equal(formula, '1d12[base] + 3 + ceil(1d6[sagrado] / 2) + 1d6[umbral] + 2 - 2 + 1 - 2 - 1 - 1');
+  });
+
+  it('omite parcelas nulas', () => {
+    assert.equal(ContratoRoll.buildFormula({ skillValue: 0 }), '1d12[base] + 0');
+  });
+});
+
+describe('rolagem de perícia', () => {
+  it('soma o Dado Sagrado pela metade', async () => {
+    const actor = createCharacter({ skills: { investigacao: 3 } });
+    dice.force(7, 5);
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao').evaluate();
+    assert.equal(roll.total, 7 + 3 + 3);
+    assert.equal(roll.natural, 7);
+    assert.deepEqual(roll.getBreakdown().reserve.map(d => [d.kind, d.raw, d.value]), [['sagrado', 5, 3]]);
+  });
+
+  it('soma o Dado Umbral cheio', async () => {
+    const actor = createCharacter({ skills: { investigacao: 3 } });
+    dice.force(7, 5);
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao', { umbral: true }).evaluate();
+    assert.equal(roll.total, 7 + 3 + 5);
+    assert.deepEqual(roll.getBreakdown().reserve.map(d => d.value), [5]);
+  });
+
+  it('subtrai as penalidades de Mortalidade, fome e ferimentos', async () => {
+    const actor = createCharacter(
+      { skills: { investigacao: 3 }, attributes: { humanidade: 6, bestialidade: 6, mortalidade: 6 }, saude: { value: 5, max: 10 } },
+      { flags: { 'contrato-de-sangue': { hunt: { missed: 1 } } } }
+    );
+    assert.equal(actor.system.mortalidade.penalty, 2 + 1);
+    dice.force(10, 6);
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao', { modifier: 1 }).evaluate();
+    assert.equal(roll.total, 10 + 3 + 3 + 1 - 3 - 1);
+    assert.equal(roll.getBreakdown().penalty, 3);
+    assert.equal(roll.getBreakdown().wounds, 1);
+  });
+
+  it('aplica vantagens, inclusive contra a penalidade, e o modificador do Mestre', async () => {
+    const actor = createCharacter({ skills: { investigacao: 2 }, attributes: { humanidade: 6, bestialidade: 6, mortalidade: 3 } }, {
+      items: [advantage('Faro', [{ type: 'skill', key: 'investigacao', value: 2 }, { type: 'penalty', value: -1 }])]
+    });
+    assert.equal(actor.system.mortalidade.penalty, 0);
+    dice.force(4, 2);
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao', { gmModifier: { value: -1, reason: 'Chuva' } }).evaluate();
+    assert.equal(roll.total, 4 + 2 + 1 + 2 - 1);
+    assert.deepEqual(roll.getBreakdown().advantages, [{ name: 'Faro', value: 2 }]);
+    assert.deepEqual(roll.getBreakdown().gmModifier, { value: -1, reason: 'Chuva' });
+  });
+
+  it('classifica contra a dificuldade salva nas opções', async () => {
+    const actor = createCharacter({ skills: { investigacao: 3 } });
+    dice.force(12, 1);
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao', { difficulty: 18 }).evaluate();
+    // 12 + 3 + 1 = 16: falha pela margem, sucesso pelo 12 natural
+    assert.deepEqual(roll.getOutcome(), { outcome: 'success', margin: -2, difficulty: 18, natural: 12 });
+  });
+
+  it('não classifica sem dificuldade', async () => {
+    const actor = createCharacter();
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao').evaluate();
+    assert.equal(roll.getOutcome(), null);
+  });
+
+  it('repete os resultados com a mesma semente', async () => {
+    const actor = createCharacter({ skills: { briga: 2 } });
+    const totals = async () => {
+      const results = [];
+      for (let i = 0; i < 5; i++) results.push((await ContratoRoll.fromSkill(actor, 'briga').evaluate()).total);
+      return results;
+    };
+    dice.seed(42);
+    const first = await totals();
+    dice.seed(42);
+    assert.deepEqual(await totals(), first);
+    for (const total of first) assert.ok(total >= 1 + 2 + 1 && total <= 12 + 2 + 3);
+  });
+});
+
+describe('dados adicionais', () => {
+  it('preserva os resultados anteriores ao somar um dado da reserva', async () => {
+    const actor = createCharacter({ skills: { investigacao: 3 } });
+    dice.force(7, 5);
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao').evaluate();
+    dice.force(4);
+    const updated = await roll.addReserveDie('umbral');
+    assert.equal(updated.total, 13 + 4);
+    assert.equal(updated.natural, 7);
+    assert.deepEqual(updated.options.dice, ['sagrado', 'umbral']);
+    assert.deepEqual(updated.getBreakdown().reserve.map(d => d.value), [3, 4]);
+  });
+
+  it('descarta o Dado Sagrado rerrolado', async () => {
+    const actor = createCharacter({ skills: { investigacao: 3 } });
+    dice.force(7, 1);
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao').evaluate();
+    dice.force(6);
+    const updated = await roll.rerollReserveDie(0, 'Faro');
+    assert.equal(updated.total, 7 + 3 + 1 - 1 + 3);
+    const reserve = updated.getBreakdown().reserve;
+    assert.deepEqual(reserve.map(d => [d.value, d.discarded]), [[1, true], [3, false]]);
+    assert.equal(updated.getBreakdown().rerolledBy, 'Faro');
+  });
+});
+
+describe('aplicação do resultado', () => {
+  it('encerra o cartão e registra o resultado final', async () => {
+    const actor = createCharacter({ skills: { investigacao: 3 } });
+    dice.force(7, 5);
+    const roll = await ContratoRoll.fromSkill(actor, 'investigacao', { difficulty: 15 }).evaluate();
+    dice.force(4);
+    const updated = await roll.addReserveDie('umbral');
+    const flags = {};
+    const message = { setFlag: async (scope, key, value) => (flags[key] = value) };
+    const applied = [];
+    Hooks.on('contrato.rollApplied', (...args) => applied.push(args));
+    await updated.applyResult(message);
+    assert.equal(flags.applied, true);
+    const entry = historyEntries(actor).at(-1);
+    assert.deepEqual([entry.type, entry.applied, entry.total, entry.outcome], ['roll', true, 17, 'success']);
+    assert.equal(applied.length, 1);
+    assert.equal(applied[0][0], actor);
+  });
+});
+
+describe('rolagem rápida de NPC', () => {
+  it('usa a parada da categoria e gasta a reserva com o d6 cheio', async () => {
+    const npc = createNpc({ pools: { mental: 4 }, reservaDados: { enabled: true, current: 2, max: 2 } });
+    dice.force(6, 5);
+    const result = await npc.quickRoll('investigacao', { modifier: 1, difficulty: 15, reserve: true, chat: false });
+    assert.equal(result.total, 6 + 4 + 5 + 1);
+    assert.equal(result.outcome, 'success');
+    assert.equal(npc.system.reservaDados.current, 1);
+  });
+
+  it('não gasta reserva que o NPC não tem', async () => {
+    const npc = createNpc({ pools: { mental: 4 } });
+    dice.force(6);
+    const result = await npc.quickRoll('investigacao', { reserve: true, chat: false });
+    assert.equal(result.total, 6 + 4);
+    assert.equal(result.umbral, false);
+  });
+});
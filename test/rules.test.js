@@ -0,0 +1,207 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONTRATO } from '../module/contracto-config.js';
+import {
+  BALANCE_TOTAL,
+  addInterval,
+  classifyOutcome,
+  completeBalance,
+  missedHunts,
+  mortalityLevel,
+  reserveDieValue,
+  reserveMax,
+  shiftBalance,
+  thresholdCrossings,
+  thresholdLevels,
+  woundLevel
+} from '../module/contracto-rules.js';
+
+const LIMITS = { extremes: CONTRATO.balanceExtremes, lostThreshold: CONTRATO.beast.lostThreshold };
+
+describe('balança entre Humanidade e Bestialidade', () => {
+  it('completa a Bestialidade quando a Humanidade muda', () => {
+    assert.deepEqual(completeBalance({ humanidade: 7 }, { humanidade: 6, bestialidade: 6 }), { humanidade: 7, bestialidade: 5 });
+  });
+
+  it('completa a Humanidade quando a Bestialidade muda', () => {
+    assert.deepEqual(completeBalance({ bestialidade: 9 }, { humanidade: 6, bestialidade: 6 }), { humanidade: 3, bestialidade: 9 });
+  });
+
+  it('aceita valores textuais vindos de formulários', () => {
+    assert.deepEqual(completeBalance({ bestialidade: '10' }, { humanidade: 6, bestialidade: 6 }), { humanidade: 2, bestialidade: 10 });
+  });
+
+  it('dá prioridade à Humanidade quando ambas mudam de forma inconsistente', () => {
+    assert.deepEqual(completeBalance({ humanidade: 8, bestialidade: 8 }, { humanidade: 6, bestialidade: 6 }), { humanidade: 8, bestialidade: 4 });
+  });
+
+  it('usa a Bestialidade quando a Humanidade enviada não mudou', () => {
+    assert.deepEqual(completeBalance({ humanidade: 6, bestialidade: 8 }, { humanidade: 6, bestialidade: 6 }), { humanidade: 4, bestialidade: 8 });
+  });
+
+  it('não faz nada quando nenhuma das duas muda', () => {
+    assert.equal(completeBalance({ mortalidade: 3 }, { humanidade: 6, bestialidade: 6 }), null);
+    assert.equal(completeBalance({ humanidade: 6 }, { humanidade: 6, bestialidade: 6 }), null);
+  });
+
+  it('sempre soma 12', () => {
+    for (let h = 1; h <= 11; h++) {
+      const { humanidade, bestialidade } = completeBalance({ humanidade: h }, { humanidade: 0, bestialidade: 0 });
+      assert.equal(humanidade + bestialidade, BALANCE_TOTAL);
+    }
+  });
+
+  it('limita a Bestialidade entre 1 e 11', () => {
+    assert.equal(shiftBalance(6, 1), 7);
+    assert.equal(shiftBalance(11, 1), 11);
+    assert.equal(shiftBalance(10, 5), 11);
+    assert.equal(shiftBalance(2, -3), 1);
+  });
+});
+
+describe('reserva de dados', () => {
+  it('tem máximo igual à Bestialidade + 1', () => {
+    assert.equal(reserveMax(1), 2);
+    assert.equal(reserveMax(6), 7);
+    assert.equal(reserveMax(11), 12);
+  });
+
+  it('soma os bônus de vantagens ao máximo', () => {
+    assert.equal(reserveMax(6, 2), 9);
+    assert.equal(reserveMax(6, -1), 6);
+  });
+
+  it('reduz o Dado Sagrado à metade, arredondada para cima', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(raw => reserveDieValue('sagrado', raw)), [1, 1, 2, 2, 3, 3]);
+  });
+
+  it('mantém o valor cheio do Dado Umbral', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(raw => reserveDieValue('umbral', raw)), [1, 2, 3, 4, 5, 6]);
+  });
+});
+
+describe('faixas de Mortalidade', () => {
+  const cases = [
+    [0, 0, 'none'], [2, 0, 'none'],
+    [3, 1, 'weekly'], [5, 1, 'weekly'],
+    [6, 2, 'twice-weekly'], [8, 2, 'twice-weekly'],
+    [9, 3, 'daily'], [11, 3, 'daily'],
+    [12, 4, 'constant'], [20, 4, 'constant']
+  ];
+  for (const [mortalidade, penalty, hunt] of cases) {
+    it(`Mortalidade ${mortalidade} dá penalidade ${penalty} e caça ${hunt}`, () => {
+      assert.deepEqual(mortalityLevel(mortalidade), { penalty, hunt });
+    });
+  }
+});
+
+describe('níveis de ferimento', () => {
+  it('segue a fração de saúde perdida', () => {
+    assert.equal(woundLevel(10, 10, CONTRATO.wounds).key, 'none');
+    assert.equal(woundLevel(6, 10, CONTRATO.wounds).key, 'none');
+    assert.equal(woundLevel(5, 10, CONTRATO.wounds).key, 'ferido');
+    assert.equal(woundLevel(2, 10, CONTRATO.wounds).penalty, 2);
+    assert.equal(woundLevel(0, 10, CONTRATO.wounds).key, 'incapacitado');
+  });
+
+  it('trata saúde máxima nula como incapacitante', () => {
+    assert.equal(woundLevel(0, 0, CONTRATO.wounds).key, 'incapacitado');
+  });
+});
+
+describe('graus de sucesso', () => {
+  const classify = (total, difficulty, natural = 6) => classifyOutcome(total, difficulty, natural, CONTRATO.outcomes).outcome;
+
+  it('classifica pela margem', () => {
+    assert.equal(classify(20, 15), 'criticalSuccess');
+    assert.equal(classify(19, 15), 'success');
+    assert.equal(classify(15, 15), 'success');
+    assert.equal(classify(14, 15), 'failure');
+    assert.equal(classify(11, 15), 'failure');
+    assert.equal(classify(10, 15), 'criticalFailure');
+  });
+
+  it('devolve a margem, a dificuldade e o natural', () => {
+    assert.deepEqual(classifyOutcome(13, 15, 4, CONTRATO.outcomes), { outcome: 'failure', margin: -2, difficulty: 15, natural: 4 });
+  });
+
+  it('melhora um grau com 12 natural e piora com 1 natural', () => {
+    assert.equal(classify(14, 15, 12), 'success');
+    assert.equal(classify(15, 15, 12), 'criticalSuccess');
+    assert.equal(classify(15, 15, 1), 'failure');
+    assert.equal(classify(11, 15, 1), 'criticalFailure');
+  });
+
+  it('não passa dos extremos', () => {
+    assert.equal(classify(30, 15, 12), 'criticalSuccess');
+    assert.equal(classify(0, 15, 1), 'criticalFailure');
+  });
+
+  it('ignora o natural sem `naturalShift`', () => {
+    const outcomes = { ...CONTRATO.outcomes, naturalShift: false };
+    assert.equal(classifyOutcome(14, 15, 12, outcomes).outcome, 'failure');
+    assert.equal(classifyOutcome(15, 15, 1, outcomes).outcome, 'success');
+  });
+});
+
+describe('limiares', () => {
+  it('calcula os níveis de cada limiar', () => {
+    assert.deepEqual(thresholdLevels({ humanidade: 6, bestialidade: 6, mortalidade: 0 }, LIMITS), {
+      mortalidade: 'none', humanidade: 'normal', bestialidade: 'normal'
+    });
+    assert.deepEqual(thresholdLevels({ humanidade: 2, bestialidade: 10, mortalidade: 9 }, LIMITS), {
+      mortalidade: 'daily', humanidade: 'normal', bestialidade: 'extreme'
+    });
+    assert.deepEqual(thresholdLevels({ humanidade: 1, bestialidade: 11, mortalidade: 12 }, LIMITS), {
+      mortalidade: 'constant', humanidade: 'normal', bestialidade: 'lost'
+    });
+    assert.equal(thresholdLevels({ humanidade: 10, bestialidade: 2, mortalidade: 0 }, LIMITS).humanidade, 'extreme');
+  });
+
+  it('detecta cruzamentos e a sua direção', () => {
+    const before = thresholdLevels({ humanidade: 3, bestialidade: 9, mortalidade: 5 }, LIMITS);
+    const after = thresholdLevels({ humanidade: 1, bestialidade: 11, mortalidade: 6 }, LIMITS);
+    assert.deepEqual(thresholdCrossings(before, after), [
+      { threshold: 'mortalidade', from: 'weekly', to: 'twice-weekly', direction: 'up' },
+      { threshold: 'bestialidade', from: 'normal', to: 'lost', direction: 'up' }
+    ]);
+    assert.deepEqual(thresholdCrossings(after, before).map(c => c.direction), ['down', 'down']);
+  });
+
+  it('não relata mudanças dentro da mesma faixa', () => {
+    const before = thresholdLevels({ humanidade: 6, bestialidade: 6, mortalidade: 3 }, LIMITS);
+    const after = thresholdLevels({ humanidade: 4, bestialidade: 8, mortalidade: 5 }, LIMITS);
+    assert.deepEqual(thresholdCrossings(before, after), []);
+  });
+});
+
+describe('prazos de caça', () => {
+  const day = CONTRATO.hunt.secondsPerDay;
+
+  it('soma dias e horas com dias de `secondsPerDay` segundos', () => {
+    const { intervals } = CONTRATO.hunt;
+    assert.equal(addInterval(1000, intervals.weekly, day), 1000 + 7 * day);
+    assert.equal(addInterval(0, intervals['twice-weekly'], day), 3.5 * day);
+    assert.equal(addInterval(0, intervals.daily, day), day);
+    assert.equal(addInterval(0, intervals.constant, day), day / 2);
+  });
+
+  it('respeita dias de outra duração', () => {
+    assert.equal(addInterval(0, { day: 2, hour: 6 }, 100 * 24), 2 * 2400 + 6 * 100);
+  });
+
+  it('conta um intervalo por caça perdida', () => {
+    const next = time => time + 7 * day;
+    assert.deepEqual(missedHunts(7 * day, 7 * day, next, 30), { count: 1, dueAt: 14 * day });
+    assert.deepEqual(missedHunts(7 * day, 22 * day, next, 30), { count: 3, dueAt: 28 * day });
+  });
+
+  it('não conta caças antes do prazo', () => {
+    assert.deepEqual(missedHunts(10, 9, time => time + 10, 30), { count: 0, dueAt: 10 });
+    assert.deepEqual(missedHunts(null, 100, time => time + 10, 30), { count: 0, dueAt: null });
+  });
+
+  it('recomeça a contar a partir de agora depois do limite', () => {
+    assert.deepEqual(missedHunts(0, 1000, time => time + 10, 5), { count: 5, dueAt: 1010 });
+  });
+});
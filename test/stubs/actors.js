@@ -0,0 +1,66 @@
+/**
+ * Fábricas de atores para os testes, com os modelos de dados e a classe de
+ * ator reais do sistema registrados no ambiente simulado.
+ */
+
+import './foundry.js';
+import { ContractoCharacterData, ContractoNpcData } from '../../module/contracto-data-models.js';
+import { ContractoActor } from '../../module/contracto-actor.js';
+
+CONFIG.Actor.dataModels = { character: ContractoCharacterData, npc: ContractoNpcData };
+
+/**
+ * Cria um personagem e o adiciona aos atores do mundo.
+ *
+ * @param {object} [system] Dados do sistema, mesclados aos valores iniciais
+ * @param {object} [data] Nome, flags, itens e permissões
+ * @returns {ContractoActor}
+ */
+export function createCharacter(system = {}, { name = 'Personagem', flags = {}, items = [], ownership } = {}) {
+  const actor = new ContractoActor({ name, type: 'character', system, flags, items, ownership });
+  game.actors.set(actor.id, actor);
+  return actor;
+}
+
+/**
+ * Cria um NPC e o adiciona aos atores do mundo.
+ *
+ * @param {object} [system] Dados do sistema, mesclados aos valores iniciais
+ * @param {object} [data] Nome e flags
+ * @returns {ContractoActor}
+ */
+export function createNpc(system = {}, { name = 'NPC', flags = {} } = {}) {
+  const actor = new ContractoActor({ name, type: 'npc', system, flags });
+  game.actors.set(actor.id, actor);
+  return actor;
+}
+
+/**
+ * Item de vantagem com regras já interpretadas, como o modelo de dados as
+ * deixaria.
+ *
+ * @param {string} name
+ * @param {object[]} rules
+ * @returns {object}
+ */
+export function advantage(name, rules) {
+  return { id: foundry.utils.randomID(), name, type: 'advantage', system: { rules } };
+}
+
+/**
+ * Item de poder sem custo, com efeitos ativos não transferidos.
+ *
+ * @param {string} name
+ * @param {object[]} effects Dados dos efeitos
+ * @param {string} [target='targets'] 'self' ou 'targets'
+ * @returns {object}
+ */
+export function power(name, effects, target = 'targets') {
+  return {
+    id: foundry.utils.randomID(),
+    name,
+    type: 'power',
+    system: { cost: 0, costResource: 'reserva', target, activation: '', description: '' },
+    effects: effects.map(data => ({ transfer: false, toObject: () => structuredClone({ ...data, duration: {} }) }))
+  };
+}
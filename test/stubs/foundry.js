@@ -0,0 +1,614 @@
+/**
+ * Stub leve do ambiente da Foundry VTT para os testes: instala em
+ * `globalThis` apenas o que os módulos do sistema usam ao serem importados e
+ * nos caminhos testados (`foundry`, `Actor`, `Roll`, `ChatMessage`, `game`,
+ * `Hooks`, `ui`, `CONFIG` e as classes de aplicação). Deve ser importado
+ * antes de qualquer módulo do sistema.
+ *
+ * Os dados são determinísticos: `dice.seed()` reinicia o gerador e
+ * `dice.force()` enfileira resultados exatos para os próximos dados.
+ */
+
+import { CONTRATO } from '../../module/contracto-config.js';
+
+/* -------------------------------------------- */
+/*  Utilitários                                 */
+/* -------------------------------------------- */
+
+/**
+ * Lê um caminho pontuado de um objeto.
+ *
+ * @param {object} object
+ * @param {string} path
+ * @returns {*}
+ */
+function getProperty(object, path) {
+  return path.split('.').reduce((o, k) => o?.[k], object);
+}
+
+/**
+ * Grava um caminho pontuado em um objeto, criando os níveis intermediários.
+ *
+ * @param {object} object
+ * @param {string} path
+ * @param {*} value
+ */
+function setProperty(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = object;
+  for (const key of keys) target = target[key] ??= {};
+  target[last] = value;
+}
+
+/**
+ * Converte chaves pontuadas em objetos aninhados.
+ *
+ * @param {object} data
+ * @returns {object}
+ */
+function expandObject(data) {
+  const expanded = {};
+  for (const [key, value] of Object.entries(data)) {
+    const inner = value && typeof value === 'object' && !Array.isArray(value) ? expandObject(value) : value;
+    setProperty(expanded, key, inner);
+  }
+  return expanded;
+}
+
+/**
+ * Mescla `other` em `original`, no lugar. Chaves `-=chave` removem a chave,
+ * como na Foundry.
+ *
+ * @param {object} original
+ * @param {object} other
+ * @returns {object}
+ */
+function mergeObject(original, other) {
+  for (const [key, value] of Object.entries(other)) {
+    if (key.startsWith('-=')) {
+      delete original[key.slice(2)];
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (!original[key] || typeof original[key] !== 'object') original[key] = {};
+      mergeObject(original[key], value);
+    } else {
+      original[key] = value;
+    }
+  }
+  return original;
+}
+
+let nextId = 0;
+
+globalThis.foundry = {
+  utils: {
+    getProperty,
+    setProperty,
+    expandObject,
+    mergeObject,
+    deepClone: value => structuredClone(value),
+    randomID: () => `id${String(++nextId).padStart(14, '0')}`,
+    debounce: fn => fn
+  },
+  data: { fields: {} },
+  abstract: {}
+};
+globalThis.mergeObject = (original, other) => mergeObject(structuredClone(original), other);
+
+// `Math.clamp` é uma extensão da Foundry
+Math.clamp ??= (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Coleção com os auxiliares da `Collection` da Foundry: iterar percorre os
+ * valores.
+ */
+export class Collection extends Map {
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  filter(fn) {
+    return [...this.values()].filter(fn);
+  }
+
+  find(fn) {
+    return [...this.values()].find(fn);
+  }
+
+  map(fn) {
+    return [...this.values()].map(fn);
+  }
+
+  some(fn) {
+    return [...this.values()].some(fn);
+  }
+}
+
+/* -------------------------------------------- */
+/*  Modelos de dados                            */
+/* -------------------------------------------- */
+
+/** Campo genérico: guarda as opções e devolve `initial` como valor inicial. */
+class DataField {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  getInitialValue() {
+    const { initial } = this.options;
+    return typeof initial === 'function' ? initial() : initial;
+  }
+}
+
+class SchemaField extends DataField {
+  constructor(fields, options) {
+    super(options);
+    this.fields = fields;
+  }
+
+  getInitialValue() {
+    return Object.fromEntries(Object.entries(this.fields).map(([k, f]) => [k, f.getInitialValue()]));
+  }
+}
+
+class ArrayField extends DataField {
+  constructor(element, options) {
+    super(options);
+    this.element = element;
+  }
+
+  getInitialValue() {
+    return [];
+  }
+}
+
+class HTMLField extends DataField {
+  getInitialValue() {
+    return this.options.initial ?? '';
+  }
+}
+
+Object.assign(foundry.data.fields, {
+  DataField,
+  SchemaField,
+  ArrayField,
+  SetField: ArrayField,
+  HTMLField,
+  NumberField: class NumberField extends DataField {},
+  StringField: class StringField extends DataField {},
+  BooleanField: class BooleanField extends DataField {},
+  ObjectField: class ObjectField extends DataField {}
+});
+
+/**
+ * Modelo de dados: como na Foundry, a fonte passa por `migrateData` e os
+ * valores iniciais do esquema, mesclados com ela, ficam no próprio modelo.
+ * Não há validação.
+ */
+foundry.abstract.TypeDataModel = class TypeDataModel {
+  constructor(source = {}, { parent = null } = {}) {
+    const schema = new SchemaField(this.constructor.defineSchema());
+    const migrated = this.constructor.migrateData(structuredClone(source)) ?? source;
+    Object.assign(this, mergeObject(schema.getInitialValue(), migrated));
+    Object.defineProperty(this, 'parent', { value: parent });
+  }
+
+  static defineSchema() {
+    return {};
+  }
+
+  static migrateData(source) {
+    return source;
+  }
+
+  prepareBaseData() {}
+
+  prepareDerivedData() {}
+
+  toObject() {
+    const { parent, ...data } = this;
+    return structuredClone(data);
+  }
+};
+
+/* -------------------------------------------- */
+/*  Dados                                       */
+/* -------------------------------------------- */
+
+/**
+ * Gerador pseudoaleatório com semente (mulberry32).
+ *
+ * @param {number} seed
+ * @returns {function(): number} Valores em [0, 1)
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Controle dos dados rolados pelo `Roll` simulado. */
+export const dice = {
+  random: mulberry32(1),
+  queue: [],
+
+  /**
+   * Reinicia o gerador com uma semente e descarta os resultados forçados.
+   *
+   * @param {number} [seed=1]
+   */
+  seed(seed = 1) {
+    this.random = mulberry32(seed);
+    this.queue = [];
+  },
+
+  /**
+   * Força os resultados dos próximos dados, na ordem em que são rolados.
+   *
+   * @param {...number} results
+   */
+  force(...results) {
+    this.queue.push(...results);
+  },
+
+  /**
+   * Rola um dado.
+   *
+   * @param {number} faces
+   * @returns {number}
+   */
+  roll(faces) {
+    if (this.queue.length) return this.queue.shift();
+    return Math.floor(this.random() * faces) + 1;
+  }
+};
+
+/**
+ * Rolagem simulada. Entende `NdF[sabor]`, `@dados`, números, `+ - * /`,
+ * parênteses e `ceil`/`floor`/`round`, o bastante para as fórmulas do
+ * sistema.
+ */
+globalThis.Roll = class Roll {
+  constructor(formula, data = {}, options = {}) {
+    this.formula = formula.replace(/@([\w.]+)/g, (_, path) => String(getProperty(data, path) ?? 0));
+    this.data = data;
+    this.options = options;
+    this.terms = [];
+    this._evaluated = false;
+    this._total = undefined;
+  }
+
+  get total() {
+    return this._total;
+  }
+
+  get dice() {
+    return this.terms.filter(t => t.class === 'Die');
+  }
+
+  async evaluate() {
+    let expression = this.formula.replace(/(\d*)d(\d+)(?:\[(\w+)\])?/g, (_, number, faces, flavor) => {
+      const results = Array.from({ length: Number(number || 1) }, () => dice.roll(Number(faces)));
+      const total = results.reduce((a, b) => a + b, 0);
+      this.terms.push({ class: 'Die', number: results.length, faces: Number(faces), flavor: flavor ?? null, results, total });
+      return `(${total})`;
+    });
+    expression = expression.replace(/\b(ceil|floor|round)\(/g, 'Math.$1(');
+    if (!/^[\d\s+\-*/().]*$/.test(expression.replace(/Math\.(ceil|floor|round)/g, ''))) {
+      throw new Error(`Fórmula não suportada pelo stub: ${this.formula}`);
+    }
+    this._total = Function(`return (${expression});`)();
+    this._evaluated = true;
+    return this;
+  }
+
+  async toMessage(messageData = {}) {
+    return ChatMessage.create({ ...messageData, rolls: [this], content: String(this.total) });
+  }
+
+  toJSON() {
+    return {
+      class: this.constructor.name,
+      formula: this.formula,
+      terms: structuredClone(this.terms),
+      total: this._total,
+      evaluated: this._evaluated,
+      options: structuredClone(this.options)
+    };
+  }
+
+  static fromData(data) {
+    const roll = new this(data.formula, {}, data.options);
+    roll.terms = data.terms;
+    roll._total = data.total;
+    roll._evaluated = true;
+    return roll;
+  }
+};
+
+/* -------------------------------------------- */
+/*  Documentos                                  */
+/* -------------------------------------------- */
+
+/**
+ * Ator simulado. A fonte fica em `_source`; `system` é recriado pelo modelo
+ * de dados de `CONFIG.Actor.dataModels` a cada alteração. `update` segue o
+ * ciclo da Foundry: `_preUpdate`, gravação, preparação e `_onUpdate`.
+ */
+globalThis.Actor = class Actor {
+  constructor({ name = 'Ator', type = 'character', system = {}, flags = {}, items = [], ownership = { default: 0 } } = {}) {
+    this.id = foundry.utils.randomID();
+    this.name = name;
+    this.type = type;
+    // Como na Foundry, a fonte já traz os valores iniciais do esquema
+    const Model = CONFIG.Actor.dataModels[type];
+    this._source = { system: new Model(system).toObject(), flags: structuredClone(flags), ownership: structuredClone(ownership) };
+    this.items = new Collection(items.map(i => [i.id, i]));
+    for (const item of items) Object.assign(item, { actor: this, uuid: `${this.uuid}.Item.${item.id}` });
+    this.effects = [];
+    this.statuses = new Set();
+    this.prepareData();
+  }
+
+  get uuid() {
+    return `Actor.${this.id}`;
+  }
+
+  get isOwner() {
+    return this.testUserPermission(game.user, 'OWNER');
+  }
+
+  get appliedEffects() {
+    return this.effects;
+  }
+
+  testUserPermission(user, level) {
+    if (user.isGM) return true;
+    const ownership = this.ownership[user.id] ?? this.ownership.default ?? 0;
+    return ownership >= CONST.DOCUMENT_OWNERSHIP_LEVELS[level];
+  }
+
+  prepareData() {
+    this.ownership = structuredClone(this._source.ownership);
+    this.flags = structuredClone(this._source.flags);
+    const Model = CONFIG.Actor.dataModels[this.type];
+    this.system = new Model(this._source.system, { parent: this });
+    this.system.prepareBaseData();
+    this.system.prepareDerivedData();
+  }
+
+  updateSource(changes) {
+    mergeObject(this._source, expandObject(changes));
+  }
+
+  async update(changes, options = {}) {
+    const changed = expandObject(changes);
+    if ((await this._preUpdate(changed, options, game.user)) === false) return undefined;
+    mergeObject(this._source, structuredClone(changed));
+    this.prepareData();
+    this._onUpdate(changed, options, game.user.id);
+    Hooks.callAll('updateActor', this, changed, options, game.user.id);
+    return this;
+  }
+
+  async _preUpdate() {}
+
+  _onUpdate() {}
+
+  getFlag(scope, key) {
+    return getProperty(this.flags, `${scope}.${key}`);
+  }
+
+  setFlag(scope, key, value) {
+    return this.update({ [`flags.${scope}.${key}`]: value });
+  }
+
+  unsetFlag(scope, key) {
+    return this.update({ [`flags.${scope}.-=${key}`]: null });
+  }
+
+  async createEmbeddedDocuments(type, data) {
+    if (type !== 'ActiveEffect') return [];
+    for (const effect of data) {
+      this.effects.push(effect);
+      for (const status of effect.statuses ?? []) this.statuses.add(status);
+    }
+    return data;
+  }
+};
+
+/** Mensagens criadas ficam em `ChatMessage.log`. */
+globalThis.ChatMessage = class ChatMessage {
+  static log = [];
+
+  static async create(data) {
+    this.log.push(data);
+    return data;
+  }
+
+  static getSpeaker({ actor } = {}) {
+    return { alias: actor?.name ?? null };
+  }
+};
+
+/* -------------------------------------------- */
+/*  Ganchos, interface e aplicações             */
+/* -------------------------------------------- */
+
+/** Ganchos com registro real de ouvintes. */
+globalThis.Hooks = {
+  events: {},
+  nextId: 0,
+
+  on(hook, fn) {
+    const id = ++this.nextId;
+    (this.events[hook] ??= []).push({ id, fn });
+    return id;
+  },
+
+  once(hook, fn) {
+    const id = this.on(hook, (...args) => {
+      this.off(hook, id);
+      return fn(...args);
+    });
+    return id;
+  },
+
+  off(hook, id) {
+    this.events[hook] = (this.events[hook] ?? []).filter(h => h.id !== id && h.fn !== id);
+  },
+
+  call(hook, ...args) {
+    for (const { fn } of [...(this.events[hook] ?? [])]) {
+      if (fn(...args) === false) return false;
+    }
+    return true;
+  },
+
+  callAll(hook, ...args) {
+    for (const { fn } of [...(this.events[hook] ?? [])]) fn(...args);
+    return true;
+  }
+};
+
+/** Avisos emitidos ficam em `ui.notifications.log`. */
+globalThis.ui = {
+  notifications: {
+    log: [],
+    info(message) { this.log.push({ type: 'info', message }); },
+    warn(message) { this.log.push({ type: 'warn', message }); },
+    error(message) { this.log.push({ type: 'error', message }); }
+  }
+};
+
+globalThis.Application = class Application {
+  render() {
+    return this;
+  }
+
+  close() {}
+};
+globalThis.FormApplication = class FormApplication extends Application {
+  constructor(object, options) {
+    super(options);
+    this.object = object;
+  }
+};
+globalThis.ActorSheet = class ActorSheet extends FormApplication {};
+globalThis.Dialog = class Dialog extends Application {
+  static async prompt() {
+    return null;
+  }
+};
+globalThis.Combatant = class Combatant {};
+globalThis.TextEditor = { enrichHTML: async html => html };
+globalThis.renderTemplate = async (path, data) => JSON.stringify({ path, data });
+globalThis.fromUuidSync = uuid => {
+  const [actorUuid, itemId] = uuid.split('.Item.');
+  const actor = game.actors.find(a => a.uuid === actorUuid) ?? null;
+  return itemId ? actor?.items.get(itemId) ?? null : actor;
+};
+globalThis.fromUuid = async uuid => fromUuidSync(uuid);
+
+/* -------------------------------------------- */
+/*  Configuração e jogo                         */
+/* -------------------------------------------- */
+
+globalThis.CONST = {
+  DOCUMENT_OWNERSHIP_LEVELS: { NONE: 0, LIMITED: 1, OBSERVER: 2, OWNER: 3 }
+};
+
+globalThis.CONFIG = {
+  Contrato: CONTRATO,
+  Actor: { dataModels: {} },
+  specialStatusEffects: { DEFEATED: 'dead' }
+};
+
+const gm = { id: 'gm', name: 'Mestre', isGM: true, isSelf: true, targets: new Set() };
+
+/** Jogador de teste; use `actAs` para executar código como ele. */
+export const player = { id: 'player', name: 'Jogador', isGM: false, isSelf: false, targets: new Set() };
+
+/**
+ * Socket simulado. As mensagens emitidas ficam em `emitted`; `receive`
+ * entrega uma mensagem aos ouvintes como se viesse de outro usuário.
+ */
+const socket = {
+  emitted: [],
+  listeners: {},
+
+  emit(name, data) {
+    this.emitted.push(data);
+  },
+
+  on(name, fn) {
+    this.listeners[name] = fn;
+  },
+
+  async receive(data, senderId) {
+    return this.listeners[`system.${game.system.id}`]?.(structuredClone(data), senderId);
+  }
+};
+
+globalThis.game = {
+  system: { id: 'contrato-de-sangue' },
+  socket,
+  user: gm,
+  users: Object.assign(new Collection([[gm.id, gm], [player.id, player]]), { activeGM: gm }),
+  actors: new Collection(),
+  journal: new Collection(),
+  modules: new Collection(),
+  combat: null,
+  time: { worldTime: 0 },
+  i18n: {
+    localize: key => key,
+    format: (key, data) => `${key} ${JSON.stringify(data)}`
+  }
+};
+
+/**
+ * Restaura o estado compartilhado entre os testes: usuário atual, atores do
+ * mundo, tempo, módulos ativos, mensagens, avisos, ouvintes de ganchos e os
+ * dados.
+ *
+ * @param {number} [seed=1] Semente dos dados
+ */
+export function resetEnvironment(seed = 1) {
+  game.user = gm;
+  game.users.activeGM = gm;
+  gm.targets.clear();
+  player.targets.clear();
+  socket.emitted.length = 0;
+  game.actors.clear();
+  game.modules.clear();
+  game.time.worldTime = 0;
+  ChatMessage.log.length = 0;
+  ui.notifications.log.length = 0;
+  Hooks.events = {};
+  delete globalThis.SimpleCalendar;
+  dice.seed(seed);
+}
+
+/**
+ * Executa uma função como outro usuário.
+ *
+ * @param {object} user Usuário que age
+ * @param {function(): *} fn
+ * @returns {Promise<*>}
+ */
+export async function actAs(user, fn) {
+  const previous = game.user;
+  previous.isSelf = false;
+  user.isSelf = true;
+  game.user = user;
+  try {
+    return await fn();
+  } finally {
+    user.isSelf = false;
+    previous.isSelf = true;
+    game.user = previous;
+  }
+}
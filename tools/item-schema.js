@@ -0,0 +1,189 @@
+/**
+ * Validação das fontes dos compêndios de itens contra os esquemas reais de
+ * `module/contracto-data-models.js`. Fora da Foundry, os campos de
+ * `foundry.data.fields` são substituídos por descritores que só guardam as
+ * opções recebidas; a validação percorre o esquema montado por
+ * `defineSchema()`, de modo que escolhas, limites e campos aninhados vêm
+ * sempre do modelo. Regras próprias dos compêndios, que o modelo não impõe
+ * (chaves de perícia, propriedades de armas e recursos de poderes existentes),
+ * ficam em `CONTENT_RULES`.
+ */
+
+import { CONTRATO } from '../module/contracto-config.js';
+
+/**
+ * Descritores mínimos dos campos de dados, com a mesma forma dos da Foundry
+ * usada aqui: `options`, e `fields` ou `element` nos campos compostos.
+ */
+function fieldDescriptors() {
+  class DataField {
+    constructor(options = {}) {
+      this.options = options;
+    }
+  }
+  class SchemaField extends DataField {
+    constructor(fields, options) {
+      super(options);
+      this.fields = fields;
+    }
+  }
+  class ArrayField extends DataField {
+    constructor(element, options) {
+      super(options);
+      this.element = element;
+    }
+  }
+  class StringField extends DataField {}
+  return {
+    DataField,
+    SchemaField,
+    ArrayField,
+    SetField: class SetField extends ArrayField {},
+    StringField,
+    HTMLField: class HTMLField extends StringField {},
+    NumberField: class NumberField extends DataField {},
+    BooleanField: class BooleanField extends DataField {},
+    ObjectField: class ObjectField extends DataField {}
+  };
+}
+
+globalThis.foundry ??= { data: { fields: fieldDescriptors() }, abstract: { TypeDataModel: class TypeDataModel {} } };
+globalThis.CONFIG ??= { Contrato: CONTRATO };
+
+const { ContractoAdvantageData, ContractoEquipmentData, ContractoPowerData } = await import('../module/contracto-data-models.js');
+
+/** Modelos de dados por tipo de item. */
+export const ITEM_MODELS = { power: ContractoPowerData, advantage: ContractoAdvantageData, equipment: ContractoEquipmentData };
+
+/** Formato dos ids de documentos do Foundry. */
+const ID_PATTERN = /^[a-zA-Z0-9]{16}$/;
+
+/**
+ * Opções de escolha de um campo, que podem ser uma lista, um objeto ou uma
+ * função.
+ *
+ * @param {Array|object|Function} choices
+ * @returns {string[]}
+ */
+function choiceKeys(choices) {
+  const resolved = typeof choices === 'function' ? choices() : choices;
+  return Array.isArray(resolved) ? resolved : Object.keys(resolved);
+}
+
+/**
+ * Valida um valor contra um campo do esquema.
+ *
+ * @param {DataField} field
+ * @param {*} value
+ * @param {string} path Caminho do valor, para as mensagens
+ * @returns {string[]} Erros encontrados
+ */
+function validateField(field, value, path) {
+  const { ArrayField, BooleanField, HTMLField, NumberField, ObjectField, SchemaField, StringField } = foundry.data.fields;
+  const { blank, choices, integer, min, max, nullable } = field.options ?? {};
+  if (value === null || value === undefined) return nullable ? [] : [`${path} é obrigatório`];
+  if (field instanceof SchemaField) {
+    if (typeof value !== 'object' || Array.isArray(value)) return [`${path} deve ser um objeto`];
+    return validateSchema(field.fields, value, path);
+  }
+  if (field instanceof ArrayField) {
+    if (!Array.isArray(value)) return [`${path} deve ser uma lista`];
+    return value.flatMap((element, i) => validateField(field.element, element, `${path}.${i}`));
+  }
+  if (field instanceof StringField || field instanceof HTMLField) {
+    if (typeof value !== 'string') return [`${path} deve ser texto`];
+    if (blank === false && !value) return [`${path} não pode ficar em branco`];
+    if (choices && value && !choiceKeys(choices).includes(value)) return [`${path} deve ser um de: ${choiceKeys(choices).join(', ')}`];
+    return [];
+  }
+  if (field instanceof NumberField) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path} deve ser um número`];
+    if (integer && !Number.isInteger(value)) return [`${path} deve ser um inteiro`];
+    if (min !== undefined && value < min) return [`${path} deve ser no mínimo ${min}`];
+    if (max !== undefined && value > max) return [`${path} deve ser no máximo ${max}`];
+    return [];
+  }
+  if (field instanceof BooleanField) return typeof value === 'boolean' ? [] : [`${path} deve ser verdadeiro ou falso`];
+  if (field instanceof ObjectField) return typeof value === 'object' ? [] : [`${path} deve ser um objeto`];
+  return [];
+}
+
+/**
+ * Valida um objeto contra os campos de um esquema: todos os campos precisam
+ * estar presentes e não pode haver campos fora do esquema.
+ *
+ * @param {Record<string, DataField>} fields
+ * @param {object} data
+ * @param {string} path
+ * @returns {string[]}
+ */
+function validateSchema(fields, data, path) {
+  const errors = [];
+  for (const [key, field] of Object.entries(fields)) {
+    if (!(key in data)) errors.push(`${path}.${key} é obrigatório`);
+    else errors.push(...validateField(field, data[key], `${path}.${key}`));
+  }
+  for (const key of Object.keys(data)) {
+    if (!(key in fields)) errors.push(`${path}.${key} não existe no esquema`);
+  }
+  return errors;
+}
+
+/**
+ * Regras de conteúdo dos compêndios por tipo de item, além do esquema.
+ *
+ * @type {Record<string, function(object, object): string[]>}
+ */
+const CONTENT_RULES = {
+  power: system => {
+    const resources = Object.keys(CONTRATO.powerResources);
+    if (typeof system.costResource !== 'string' || !system.costResource) return [];
+    return resources.includes(system.costResource) ? [] : [`system.costResource deve ser um de: ${resources.join(', ')}`];
+  },
+  advantage: (system, { parseRules }) => {
+    if (!parseRules || typeof system.bonus !== 'string') return [];
+    return parseRules(system.bonus).errors.map(line => `regra inválida em system.bonus: "${line}"`);
+  },
+  equipment: system => {
+    const errors = [];
+    const skills = Object.keys(CONTRATO.skills);
+    const properties = Object.keys(CONTRATO.weaponProperties);
+    if (typeof system.skill === 'string' && system.skill && !skills.includes(system.skill)) errors.push(`system.skill deve ser um de: ${skills.join(', ')}`);
+    if (system.damage && !system.skill) errors.push('armas (com system.damage) precisam de system.skill');
+    const invalid = (Array.isArray(system.properties) ? system.properties : []).filter(p => typeof p === 'string' && !properties.includes(p));
+    if (invalid.length) errors.push(`system.properties com valores inválidos: ${invalid.join(', ')}`);
+    return errors;
+  }
+};
+
+/**
+ * Valida uma entrada de compêndio de itens.
+ *
+ * @param {object} entry Documento lido da fonte
+ * @param {object} [options]
+ * @param {function(string): {errors: string[]}} [options.parseRules] Interpretador das regras de vantagem
+ * @returns {string[]} Erros encontrados; vazio se a entrada for válida
+ */
+export function validateItem(entry, { parseRules } = {}) {
+  const errors = [];
+  if (!ID_PATTERN.test(entry._id ?? '')) errors.push('_id deve ter 16 caracteres alfanuméricos');
+  if (entry._key !== `!items!${entry._id}`) errors.push(`_key deve ser "!items!${entry._id}"`);
+  if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push('name é obrigatório');
+  const Model = ITEM_MODELS[entry.type];
+  if (!Model) {
+    errors.push(`type deve ser um de: ${Object.keys(ITEM_MODELS).join(', ')}`);
+    return errors;
+  }
+
+  const system = entry.system ?? {};
+  errors.push(...validateSchema(Model.defineSchema(), system, 'system'));
+  errors.push(...CONTENT_RULES[entry.type](system, { parseRules }));
+
+  for (const effect of entry.effects ?? []) {
+    if (!ID_PATTERN.test(effect._id ?? '')) errors.push('efeitos precisam de um _id válido');
+    else if (effect._key !== `!items.effects!${entry._id}.${effect._id}`) {
+      errors.push(`_key do efeito ${effect._id} deve ser "!items.effects!${entry._id}.${effect._id}"`);
+    }
+  }
+  return errors;
+}
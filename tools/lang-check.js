@@ -0,0 +1,96 @@
+/**
+ * Verifica as traduções do sistema. Todo arquivo de idioma declarado no
+ * `system.json` deve ter as mesmas chaves, e toda chave citada literalmente
+ * em `module/`, `templates/` e nos rótulos dos compêndios do `system.json`
+ * deve existir em todos eles.
+ *
+ *   node tools/lang-check.js
+ *
+ * Chaves montadas em tempo de execução (por exemplo,
+ * `CONTRATO.OUTCOME.${outcome}`) não são citadas literalmente e ficam de
+ * fora da segunda verificação.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Pastas e extensões onde as chaves usadas são procuradas. */
+const SOURCES = [['module', '.js'], ['templates', '.hbs']];
+
+/**
+ * Chaves do sistema citadas no código. Um trecho seguido de ponto, ou que é
+ * o prefixo de chaves existentes, pertence a uma chave montada
+ * (`'CONTRATO.OUTCOME.' + outcome`) e é ignorado.
+ */
+const KEY_PATTERN = /\b(?:CONTRATO|TYPES)\.[A-Za-z0-9_.-]*[A-Za-z0-9_-]/g;
+
+/** Manifesto do sistema. */
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'system.json'), 'utf8'));
+
+/**
+ * Arquivos de uma pasta, recursivamente, com a extensão informada.
+ *
+ * @param {string} dir
+ * @param {string} ext
+ * @returns {string[]}
+ */
+function listFiles(dir, ext) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(file, ext);
+    return entry.name.endsWith(ext) ? [file] : [];
+  });
+}
+
+/**
+ * Chaves citadas literalmente no código, nos templates e nos rótulos dos
+ * compêndios, com o primeiro arquivo onde aparecem.
+ *
+ * @returns {Map<string, string>}
+ */
+function usedKeys() {
+  const keys = new Map();
+  for (const [dir, ext] of SOURCES) {
+    for (const file of listFiles(path.join(ROOT, dir), ext)) {
+      const text = fs.readFileSync(file, 'utf8');
+      for (const { 0: key, index } of text.matchAll(KEY_PATTERN)) {
+        if (text[index + key.length] === '.') continue;
+        if (!keys.has(key)) keys.set(key, path.relative(ROOT, file));
+      }
+    }
+  }
+  for (const pack of manifest.packs ?? []) {
+    if (!keys.has(pack.label)) keys.set(pack.label, 'system.json');
+  }
+  return keys;
+}
+
+const langs = manifest.languages.map(l => ({
+  ...l,
+  keys: new Set(Object.keys(JSON.parse(fs.readFileSync(path.join(ROOT, l.path), 'utf8'))))
+}));
+const all = new Set(langs.flatMap(l => [...l.keys]));
+const used = usedKeys();
+const errors = [];
+for (const lang of langs) {
+  for (const key of all) {
+    if (!lang.keys.has(key)) errors.push(`${lang.path}: falta ${key}`);
+  }
+}
+const prefixes = new Set();
+for (const key of all) {
+  const parts = key.split('.');
+  for (let i = 1; i < parts.length; i++) prefixes.add(parts.slice(0, i).join('.'));
+}
+for (const [key, file] of used) {
+  if (!all.has(key) && !prefixes.has(key)) errors.push(`${key}, usada em ${file}, não existe em nenhum idioma`);
+}
+if (errors.length) {
+  console.error(`Traduções incompletas:\n  ${errors.join('\n  ')}`);
+  process.exitCode = 1;
+} else {
+  console.log(`${langs.length} idiomas com ${all.size} chaves cada.`);
+}
@@ -0,0 +1,121 @@
+/**
+ * Compila e extrai os compêndios do sistema. As fontes ficam em
+ * `packs/_source/<pacote>/`, um arquivo JSON por item, e são compiladas para
+ * as pastas LevelDB em `packs/<pacote>/` declaradas no `system.json`.
+ *
+ *   node tools/packs.js build [pacote]     valida as fontes e compila
+ *   node tools/packs.js extract [pacote]   extrai os compêndios para as fontes
+ *
+ * Toda entrada é validada contra o esquema de itens antes da compilação; uma
+ * entrada inválida interrompe o build sem alterar os compêndios.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { compilePack, extractPack } from '@foundryvtt/foundryvtt-cli';
+import { CONTRATO } from '../module/contracto-config.js';
+import { validateItem } from './item-schema.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = path.join(ROOT, 'packs', '_source');
+
+/**
+ * Pacotes de itens declarados no `system.json`.
+ *
+ * @returns {{name: string, path: string}[]}
+ */
+function itemPacks() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'system.json'), 'utf8'));
+  return manifest.packs.filter(p => p.type === 'Item');
+}
+
+/**
+ * Carrega o interpretador das regras de vantagem do próprio sistema. Ele
+ * consulta `CONFIG.Contrato`, que aqui recebe a configuração do sistema.
+ *
+ * @returns {Promise<function(string): {rules: object[], errors: string[]}>}
+ */
+async function loadRuleParser() {
+  globalThis.CONFIG ??= { Contrato: CONTRATO };
+  const { parseAdvantageRules } = await import('../module/contracto-advantages.js');
+  return parseAdvantageRules;
+}
+
+/**
+ * Valida todas as fontes de um pacote.
+ *
+ * @param {string} dir Pasta das fontes
+ * @param {function} parseRules Interpretador das regras de vantagem
+ * @returns {string[]} Erros, prefixados pelo arquivo
+ */
+function validateSource(dir, parseRules) {
+  const errors = [];
+  const ids = new Map();
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      errors.push(`${file}: JSON inválido (${err.message})`);
+      continue;
+    }
+    for (const error of validateItem(entry, { parseRules })) errors.push(`${file}: ${error}`);
+    if (ids.has(entry._id)) errors.push(`${file}: _id ${entry._id} repetido em ${ids.get(entry._id)}`);
+    ids.set(entry._id, file);
+  }
+  return errors;
+}
+
+/**
+ * Valida e compila os pacotes.
+ *
+ * @param {{name: string, path: string}[]} packs
+ */
+async function build(packs) {
+  const parseRules = await loadRuleParser();
+  const errors = [];
+  for (const pack of packs) {
+    const dir = path.join(SOURCE, pack.name);
+    if (!fs.existsSync(dir)) {
+      errors.push(`${pack.name}: pasta de fontes ausente (${path.relative(ROOT, dir)})`);
+      continue;
+    }
+    errors.push(...validateSource(dir, parseRules).map(e => `${pack.name}/${e}`));
+  }
+  if (errors.length) {
+    console.error(`Fontes inválidas; nenhum compêndio foi compilado:\n  ${errors.join('\n  ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  for (const pack of packs) {
+    await compilePack(path.join(SOURCE, pack.name), path.join(ROOT, pack.path));
+    console.log(`Compilado ${pack.name} -> ${pack.path}`);
+  }
+}
+
+/**
+ * Extrai os pacotes compilados de volta para as fontes, substituindo-as.
+ *
+ * @param {{name: string, path: string}[]} packs
+ */
+async function extract(packs) {
+  for (const pack of packs) {
+    await extractPack(path.join(ROOT, pack.path), path.join(SOURCE, pack.name), { clean: true });
+    console.log(`Extraído ${pack.path} -> ${path.relative(ROOT, path.join(SOURCE, pack.name))}`);
+  }
+}
+
+const [command, only] = process.argv.slice(2);
+const packs = itemPacks().filter(p => !only || p.name === only);
+if (only && !packs.length) {
+  console.error(`Pacote desconhecido: ${only}`);
+  process.exitCode = 1;
+} else if (command === 'build') {
+  await build(packs);
+} else if (command === 'extract') {
+  await extract(packs);
+} else {
+  console.error('Uso: node tools/packs.js <build|extract> [pacote]');
+  process.exitCode = 1;
+}